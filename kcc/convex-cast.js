@@ -4,6 +4,10 @@
  * 
  * Change log:
  *  
+ *      2.1 -   Added `filterGroup`/`filterMask` options to restrict which
+ *              collision groups a cast can hit, and `ignore`/`filter` options
+ *              to exclude individual entities.
+ *
  *      2.0 -   Move initialization to first use instead of at parse time to
  *              support latest version of Ammo and PlayCanvas. Fixed bug where rotation
  *              was being set on wrong transform.
@@ -48,9 +52,34 @@
         data.pcStartRot = new pc.Quat();
         data.pcEndRot = new pc.Quat();
 
+        // Broadphase proxies excluded from the current cast: [proxy, group, mask, ...]
+        data.excluded = [];
+
         data.initialised = true;
     }
 
+    // Ammo exposes no convex result callback that can be overridden from JS,
+    // so excluded bodies get a zero broadphase filter for the duration of the
+    // cast – Bullet's needsCollision() then skips them during the sweep.
+    function _exclude(body, excluded) {
+        const proxy = body.getBroadphaseHandle();
+        if (!proxy) return false;
+        excluded.push(proxy, proxy.get_m_collisionFilterGroup(),
+            proxy.get_m_collisionFilterMask());
+        proxy.set_m_collisionFilterGroup(0);
+        proxy.set_m_collisionFilterMask(0);
+        return true;
+    }
+
+    function _restore(excluded) {
+        // restore in reverse so a body excluded twice ends with its original filter
+        for (let i = excluded.length - 3; i >= 0; i -= 3) {
+            excluded[i].set_m_collisionFilterGroup(excluded[i + 1]);
+            excluded[i].set_m_collisionFilterMask(excluded[i + 2]);
+        }
+        excluded.length = 0;
+    }
+
     /**
      * @class
      * @name ConvexCastResult
@@ -83,10 +112,16 @@
      * @param {pc.Quat} [startRot] - Initial rotation of the shape.
      * @param {pc.Quat} [endRot] - Final rotation of the shape.
      * @param {number} [allowedPenetration] - CCD allowance margin.
+     * @param {object} [options] - Additional cast options.
+     * @param {number} [options.filterGroup] - Collision group of the cast, defaults to Bullet's default filter.
+     * @param {number} [options.filterMask] - Collision groups the cast can hit, defaults to all.
+     * @param {pc.Entity[]} [options.ignore] - Entities whose rigid bodies the cast passes through.
+     * @param {function(pc.Entity): boolean} [options.filter] - Return false to skip a hit entity. Each
+     * skipped body costs another sweep; the cast only misses once nothing the filter accepts is left on the path.
      * @returns {ConvexCastResult} object holding the hit result or null.
      */
     pc.RigidBodyComponentSystem.prototype.convexCast = function (
-        shape, startPos, endPos, startRot, endRot, allowedPenetration = 0
+        shape, startPos, endPos, startRot, endRot, allowedPenetration = 0, options
     ) {
         initScratch();
 
@@ -112,33 +147,69 @@
         d.ammoTransformFrom.setRotation(d.ammoRotFrom);
         d.ammoTransformTo.setRotation(d.ammoRotTo);
 
-        const cb = new Ammo.ClosestConvexResultCallback(d.ammoPosFrom,
-            d.ammoPosTo);
+        // Ignored and rejected bodies get their filter back, and the Ammo objects are
+        // freed, even when a filter throws – else they'd stop colliding with anything
+        const excluded = d.excluded;
+        let result = null;
+        let cb = null;
+        try {
+            // Drop ignored bodies out of the broadphase filter for this call
+            if (options && options.ignore) {
+                for (const entity of options.ignore) {
+                    const body = entity && entity.rigidbody && entity.rigidbody.body;
+                    if (body) _exclude(body, excluded);
+                }
+            }
 
-        this.dynamicsWorld.convexSweepTest(
-            shape, d.ammoTransformFrom, d.ammoTransformTo, cb,
-            allowedPenetration
-        );
+            // A rejected hit is excluded as well and the sweep repeated – every pass
+            // excludes one more body, so this ends at an accepted hit or a miss
+            for (;;) {
+                cb = new Ammo.ClosestConvexResultCallback(d.ammoPosFrom,
+                    d.ammoPosTo);
 
-        let result = null;
-        if (cb.hasHit()) {
-            const body = Ammo.castObject(cb.get_m_hitCollisionObject(),
-                Ammo.btRigidBody);
-            if (body && body.entity) {
-                const p = cb.get_m_hitPointWorld();
-                const n = cb.get_m_hitNormalWorld();
-                result = new ConvexCastResult(
-                    body.entity,
-                    cb.get_m_closestHitFraction(),
-                    new pc.Vec3(p.x(), p.y(), p.z()),
-                    new pc.Vec3(n.x(), n.y(), n.z())
+                if (options) {
+                    if (options.filterGroup !== undefined) cb.set_m_collisionFilterGroup(options.filterGroup);
+                    if (options.filterMask !== undefined) cb.set_m_collisionFilterMask(options.filterMask);
+                }
+
+                this.dynamicsWorld.convexSweepTest(
+                    shape, d.ammoTransformFrom, d.ammoTransformTo, cb,
+                    allowedPenetration
                 );
+
+                let body = null;
+                if (cb.hasHit()) {
+                    body = Ammo.castObject(cb.get_m_hitCollisionObject(),
+                        Ammo.btRigidBody);
+                }
+
+                // a body that can't be excluded would be hit again – it blocks instead
+                if (body && body.entity && options && options.filter &&
+                    !options.filter(body.entity) && _exclude(body, excluded)) {
+                    Ammo.destroy(cb);
+                    cb = null;
+                    continue;
+                }
+
+                if (body && body.entity) {
+                    const p = cb.get_m_hitPointWorld();
+                    const n = cb.get_m_hitNormalWorld();
+                    result = new ConvexCastResult(
+                        body.entity,
+                        cb.get_m_closestHitFraction(),
+                        new pc.Vec3(p.x(), p.y(), p.z()),
+                        new pc.Vec3(n.x(), n.y(), n.z())
+                    );
+                }
+                break;
             }
-        }
+        } finally {
+            _restore(excluded);
 
-        // clean up temporary Ammo objects created _inside this call only_
-        Ammo.destroy(shape);
-        Ammo.destroy(cb);
+            // clean up temporary Ammo objects created _inside this call only_
+            if (cb) Ammo.destroy(cb);
+            Ammo.destroy(shape);
+        }
         return result;
     };
 
@@ -146,12 +217,12 @@
     // Convenience wrappers
     // ---------------------------------------------------------------------
     const HALF = pc.RigidBodyComponentSystem.prototype;
-    HALF.sphereCast = function (r, a, b, margin, sr, er, pen) { return this.convexCast(_sphere(r, margin), a, b, sr, er, pen); };
-    HALF.boxCast = function (h, a, b, margin, sr, er, pen) { return this.convexCast(_box(h, margin), a, b, sr, er, pen); };
-    HALF.capsuleCast = function (r, h, a, b, margin, sr, er, pen) { return this.convexCast(_capsule(r, h, margin), a, b, sr, er, pen); };
-    HALF.cylinderCast = function (hExt, a, b, axis, sr, er, pen) { return this.convexCast(_cylinder(hExt, axis), a, b, sr, er, pen); };
-    HALF.coneCast = function (r, h, a, b, axis, sr, er, pen) { return this.convexCast(_cone(r, h, axis), a, b, sr, er, pen); };
-    HALF.shapeCast = function (verts, a, b, margin, sr, er, pen) { return this.convexCast(_hull(verts, margin), a, b, sr, er, pen); };
+    HALF.sphereCast = function (r, a, b, margin, sr, er, pen, opts) { return this.convexCast(_sphere(r, margin), a, b, sr, er, pen, opts); };
+    HALF.boxCast = function (h, a, b, margin, sr, er, pen, opts) { return this.convexCast(_box(h, margin), a, b, sr, er, pen, opts); };
+    HALF.capsuleCast = function (r, h, a, b, margin, sr, er, pen, opts) { return this.convexCast(_capsule(r, h, margin), a, b, sr, er, pen, opts); };
+    HALF.cylinderCast = function (hExt, a, b, axis, sr, er, pen, opts) { return this.convexCast(_cylinder(hExt, axis), a, b, sr, er, pen, opts); };
+    HALF.coneCast = function (r, h, a, b, axis, sr, er, pen, opts) { return this.convexCast(_cone(r, h, axis), a, b, sr, er, pen, opts); };
+    HALF.shapeCast = function (verts, a, b, margin, sr, er, pen, opts) { return this.convexCast(_hull(verts, margin), a, b, sr, er, pen, opts); };
 
     // ---------------------------------------------------------------------
     // Shape builders
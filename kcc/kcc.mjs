@@ -1,21 +1,87 @@
-import { Vec3, Quat, Script, Color } from 'playcanvas';
-import { clamp, EPS, projectOnPlane, sweep } from './kccUtils.mjs';
+import { Vec3, Quat, Script, Color, Entity } from 'playcanvas';
+import { EPS, halfSegment } from './kccUtils.mjs';
+import { CharacterMotor, MOTOR_DEFAULTS as DEFAULTS } from './kccMotor.mjs';
 
 /* ───────── controller ───────── */
 export class KCC extends Script {
     static scriptName = 'kcc';
 
-    /** Walk speed (m s⁻¹)             @attribute */ speed = 6;
-    /** Gravity (m s⁻², − = down)      @attribute */ gravity = -9.81;
-    /** Jump speed (m s⁻¹)             @attribute */ jumpSpeed = 6;
-    /** Scale speed in-air             @attribute
-     * @range [0, 1] */                              airControl = 1;
-    /** Controller radius (m)          @attribute */ radius = 0.5;
-    /** Sweeps / pass                  @attribute */ maxIterations = 5;
-    /** Walkable slope (°)             @attribute */ slopeLimitDeg = 50;
-    /** Skin gap (m)                   @attribute */ skin = 0.01;
-    /** Down-snap distance (m)         @attribute */ groundSnap = 0.3;
-    /** Hover gap when grounded (m)    @attribute */ hover = 0.2;
+    /** Walk speed (m s⁻¹)             @attribute */ speed = DEFAULTS.speed;
+    /** Crouched walk speed (m s⁻¹)    @attribute */ crouchSpeed = DEFAULTS.crouchSpeed;
+    /** Gravity (m s⁻², − = down)      @attribute */ gravity = DEFAULTS.gravity;
+    /** Up direction, gravity opposes  @attribute */ up = DEFAULTS.up.clone();
+    /** Turn the entity to match up    @attribute */ alignToUp = DEFAULTS.alignToUp;
+    /** Jump speed (m s⁻¹)             @attribute */ jumpSpeed = DEFAULTS.jumpSpeed;
+    /** Jump grace after leaving (s)   @attribute */ coyoteTime = DEFAULTS.coyoteTime;
+    /** Early jump press kept for (s)  @attribute */ jumpBufferTime = DEFAULTS.jumpBufferTime;
+    /** Extra jumps while airborne     @attribute */ airJumps = DEFAULTS.airJumps;
+    /** Rise kept on early release     @attribute
+     * @range [0, 1] */                              jumpCutMultiplier = DEFAULTS.jumpCutMultiplier;
+    /** Gravity scale when falling     @attribute */ fallGravityMultiplier = DEFAULTS.fallGravityMultiplier;
+    /** Ground acceleration (m s⁻²)    @attribute */ groundAcceleration = DEFAULTS.groundAcceleration;
+    /** Ground deceleration (m s⁻²)    @attribute */ groundDeceleration = DEFAULTS.groundDeceleration;
+    /** Air acceleration (m s⁻²)       @attribute */ airAcceleration = DEFAULTS.airAcceleration;
+    /** Input air speed cap (m s⁻¹)    @attribute */ maxAirSpeed = DEFAULTS.maxAirSpeed;
+    /** Knockback drag, ground (s⁻¹)   @attribute */ groundDrag = DEFAULTS.groundDrag;
+    /** Knockback drag, air (s⁻¹)      @attribute */ airDrag = DEFAULTS.airDrag;
+    /** Scale air acceleration         @attribute
+     * @range [0, 1] */                              airControl = DEFAULTS.airControl;
+    /** Controller radius (m)          @attribute */ radius = DEFAULTS.radius;
+    /** Use a capsule, not a sphere    @attribute */ capsule = DEFAULTS.capsule;
+    /** Capsule height, tip to tip (m) @attribute
+     * @enabledif {capsule} */                       height = DEFAULTS.height;
+    /** Shape height crouched (m)      @attribute */ crouchHeight = DEFAULTS.crouchHeight;
+    /** Sweeps / pass                  @attribute */ maxIterations = DEFAULTS.maxIterations;
+    /** Walkable slope (°)             @attribute */ slopeLimitDeg = DEFAULTS.slopeLimitDeg;
+    /** Skin gap (m)                   @attribute */ skin = DEFAULTS.skin;
+    /** Down-snap distance (m)         @attribute */ groundSnap = DEFAULTS.groundSnap;
+    /** Max climbable step (m)         @attribute */ stepHeight = DEFAULTS.stepHeight;
+    /** Hover gap when grounded (m)    @attribute */ hover = DEFAULTS.hover;
+    /** Follow platform pitch/roll     @attribute */ followPlatformTilt = DEFAULTS.followPlatformTilt;
+    /** Turn with the platform's yaw   @attribute */ inheritPlatformYaw = DEFAULTS.inheritPlatformYaw;
+    /** Platform velocity on takeoff   @attribute
+     * @range [0, 1] */                              inheritPlatformVelocity = DEFAULTS.inheritPlatformVelocity;
+    /** Group bits of the casts        @attribute */ collisionGroup = DEFAULTS.collisionGroup;
+    /** Groups the casts can hit       @attribute */ collisionMask = DEFAULTS.collisionMask;
+
+    /** Swim speed (m s⁻¹)             @attribute */ swimSpeed = DEFAULTS.swimSpeed;
+    /** Swim acceleration (m s⁻²)      @attribute */ swimAcceleration = DEFAULTS.swimAcceleration;
+    /** Water drag (s⁻¹)               @attribute */ waterDrag = DEFAULTS.waterDrag;
+    /** Buoyancy (m s⁻²)               @attribute */ buoyancy = DEFAULTS.buoyancy;
+    /** Swim when centre this deep (m) @attribute */ swimDepth = DEFAULTS.swimDepth;
+    /** Float with centre at depth (m) @attribute */ floatDepth = DEFAULTS.floatDepth;
+    /** Climb speed (m s⁻¹)            @attribute */ climbSpeed = DEFAULTS.climbSpeed;
+    /** Ladder jump-off push (m s⁻¹)   @attribute */ climbJumpOff = DEFAULTS.climbJumpOff;
+    /** Dash distance (m)              @attribute */ dashDistance = DEFAULTS.dashDistance;
+    /** Dash duration (s)              @attribute */ dashDuration = DEFAULTS.dashDuration;
+    /** Dashes before recharging       @attribute */ dashCharges = DEFAULTS.dashCharges;
+    /** Recharge time per dash (s)     @attribute */ dashCooldown = DEFAULTS.dashCooldown;
+    /** Allow dashing in the air       @attribute */ airDash = DEFAULTS.airDash;
+    /** Slide slowly down walls        @attribute */ wallSlide = DEFAULTS.wallSlide;
+    /** Wall slide fall speed (m s⁻¹)  @attribute */ wallSlideSpeed = DEFAULTS.wallSlideSpeed;
+    /** Jump off walls                 @attribute */ wallJump = DEFAULTS.wallJump;
+    /** Wall jump outward (m s⁻¹)      @attribute */ wallJumpOut = DEFAULTS.wallJumpOut;
+    /** Wall jump upward (m s⁻¹)       @attribute */ wallJumpUp = DEFAULTS.wallJumpUp;
+    /** Same-wall jump cooldown (s)    @attribute */ wallJumpCooldown = DEFAULTS.wallJumpCooldown;
+    /** Grab ledges while airborne     @attribute */ ledgeGrab = DEFAULTS.ledgeGrab;
+    /** Ledge reach past shape (m)     @attribute */ ledgeReach = DEFAULTS.ledgeReach;
+    /** Min ledge top depth (m)        @attribute */ minLedgeDepth = DEFAULTS.minLedgeDepth;
+    /** Shimmy speed (m s⁻¹)           @attribute */ shimmySpeed = DEFAULTS.shimmySpeed;
+    /** Mantle duration (s)            @attribute */ mantleTime = DEFAULTS.mantleTime;
+    /** Camera whose pitch steers swimming, defaults to the entity
+     * @attribute
+     * @type {Entity} */                             swimCamera = DEFAULTS.swimCamera;
+    /** Simulate in fixed steps        @attribute */ fixedTimestep = false;
+    /** Fixed step length (s)          @attribute
+     * @enabledif {fixedTimestep} */                 fixedDelta = 1 / 60;
+    /** Max steps per frame            @attribute
+     * @enabledif {fixedTimestep} */                 maxSubSteps = 5;
+    /** Smooth render between steps    @attribute
+     * @enabledif {fixedTimestep} */                 interpolate = true;
+    /** Child to interpolate instead of the entity
+     * @attribute
+     * @enabledif {fixedTimestep}
+     * @type {Entity} */                             visual = null;
 
     /** Draw debug helpers? @attribute          */ debug = false;
     /** Color to show for casting @attribute
@@ -27,164 +93,287 @@ export class KCC extends Script {
     /** Color to show for normal @attribute
      * @enabledif {debug}    */                    normalDebugColor = new Color(0, 1, 0, 1);
 
+    /**
+     * Optional predicate for every cast – return false to pass through an entity.
+     * @type {((entity: import('playcanvas').Entity) => boolean)|null}
+     */
+    castFilter = DEFAULTS.castFilter;
+
+    /**
+     * Optional gravity field, e.g. toward a planet's centre – overrides `up` and
+     * `gravity` for the frame whenever it returns a non-zero vector (m s⁻²).
+     * @type {((position: Vec3) => Vec3|null)|null}
+     */
+    gravityProvider = DEFAULTS.gravityProvider;
+
+    /**
+     * Set to a `KccPredictor` over `motor` to number, record and send every step for
+     * server reconciliation, see `reconcile()`.
+     * @type {import('./kccPrediction.mjs').KccPredictor|null}
+     */
+    predictor = null;
+
     initialize() {
-        this._velY = 0;
-        this._horizontal = 0;
-        this._vertical = 0;
-        this._jumpPressed = false;
-        this._yawDelta = 0;
+        /* fixed timestep – leftover time, simulated poses either side of it, last rendered pose */
+        this._accumulator = 0;
+        this._prevPos = new Vec3();
+        this._prevRot = new Quat();
+        this._currPos = new Vec3();
+        this._currRot = new Quat();
+        this._renderPos = new Vec3();
+        this._renderRot = new Quat();
+        this._rendered = false;
+        this._renderVisual = null;
+        this._visualLocalPos = new Vec3();
+        this._visualLocalRot = new Quat();
+        this._currPos.copy(this.entity.getPosition());
+        this._currRot.copy(this.entity.getRotation());
+        this._prevPos.copy(this._currPos);
+        this._prevRot.copy(this._currRot);
 
-        this._grounded = false;
-        this._wasGrounded = false;
-        this._groundEntity = null;
-        this._groundPrevPos = new Vec3();
-        this._groundPrevRot = new Quat();
-        this._groundCandidate = null;
+        /**
+         * The simulation – reads this script's attributes, moves its entity and fires its events.
+         * @type {CharacterMotor}
+         */
+        this.motor = new CharacterMotor({
+            world: this.app.systems.rigidbody,
+            config: this,
+            body: this.entity,
+            events: this
+        });
+        this.motor.drawLine = (from, to) => {
+            if (this.debug) this.app.drawLine(from, to, this.castDebugColor, false);
+        };
 
-        this._steepNormal = null;
+        /* own entity and children never block the casts */
+        this.refreshIgnoreList();
+        this.entity.on('childinsert', this.refreshIgnoreList, this);
+        this.entity.on('childremove', this.refreshIgnoreList, this);
+        this.once('destroy', () => {
+            this.entity.off('childinsert', this.refreshIgnoreList, this);
+            this.entity.off('childremove', this.refreshIgnoreList, this);
+        });
     }
 
-    /* Called each frame by input script */
-    setInput(h = 0, v = 0, jump = false, yaw = 0) {
-        this._horizontal = h;
-        this._vertical = v;
-        this._jumpPressed = jump;
-        this._yawDelta = yaw;
+    /* Re-collect own rigidbodies – call after adding one deeper in the hierarchy */
+    refreshIgnoreList() {
+        this.motor.ignore = this.entity.find(e => !!e.rigidbody);
     }
 
-    /* ───────── main update ───────── */
-    update(dt) {
+    /**
+     * Locomotion states – register custom ones with `states.register()`.
+     * @type {import('./kccStateMachine.mjs').KccStateMachine}
+     */
+    get states() {
+        return this.motor.states;
+    }
 
-        /* 1. apply player yaw from input */
-        if (Math.abs(this._yawDelta) > EPS) {
-            this.entity.rotateLocal(0, this._yawDelta, 0);
-            this._yawDelta = 0;
-        }
+    /** @type {string|null} current state name, see `KccState` */
+    get state() {
+        return this.motor.states.current;
+    }
+
+    /** @type {boolean} true while the shape is shrunk by `crouch()` */
+    get crouched() {
+        return this.motor._crouched;
+    }
 
-        /* 2. follow moving ground – position + **Y-only rotation** */
-        if (this._wasGrounded && this._groundEntity) {
-            const gp = this._groundEntity.getPosition();
-            const gr = this._groundEntity.getRotation();
+    /* Shrink the shape to `crouchHeight`, feet stay planted */
+    crouch() {
+        this.motor.crouch();
+    }
 
-            /* Δrotation of the platform since last frame */
-            const deltaRot = gr.clone().mul(this._groundPrevRot.clone().invert());
+    /* Restore the standing shape; retried every frame while blocked overhead */
+    stand() {
+        return this.motor.stand();
+    }
 
-            /* extract yaw (degrees) from Δrotation */
-            const e = new Vec3();
-            deltaRot.getEulerAngles(e);
-            const yawDeg = e.y;
+    /* Burst along `direction` (defaults to input, else facing) – false while unavailable */
+    dash(direction) {
+        return this.motor.dash(direction);
+    }
 
-            /* make yaw-only quaternion */
-            const yawQuat = new Quat().setFromEulerAngles(0, yawDeg, 0);
+    /** @type {number} dashes available right now */
+    get dashChargesLeft() {
+        return this.motor.dashChargesLeft;
+    }
 
-            /* rotate relative offset around platform pivot */
-            const rel = this.entity.getPosition().clone().sub(this._groundPrevPos);
-            yawQuat.transformVector(rel, rel);
+    /* Instant velocity change (m s⁻¹) – knockback, explosions, jump pads */
+    addImpulse(v) {
+        this.motor.addImpulse(v);
+    }
 
-            /* apply yaw to character orientation */
-            this.entity.setRotation(
-                yawQuat.clone().mul(this.entity.getRotation())
-            );
+    /* Acceleration (m s⁻²) over the next update – call every frame to keep pushing */
+    addForce(f) {
+        this.motor.addForce(f);
+    }
 
-            /* final world position */
-            this.entity.setPosition(gp.clone().add(rel));
+    /* Called each frame by input script – `jumpHeld` enables short hops, omit it for fixed-height jumps */
+    setInput(h = 0, v = 0, jump = false, yaw = 0, jumpHeld = undefined) {
+        this.motor.setInput(h, v, jump, yaw, jumpHeld);
+    }
+
+    /**
+     * Copy of the full controller state – pose, velocities, ground and platform, mode.
+     * @returns {object}
+     */
+    snapshot() {
+        const state = this.motor.getState();
+        if (this._rendered && !this._renderVisual) {
+            /* the entity shows an in-between pose – report the simulated one, with anything that moved it since */
+            state.position.sub(this._renderPos).add(this._currPos);
+            state.rotation.mul(new Quat().copy(this._renderRot).invert()).mul(this._currRot);
         }
+        return state;
+    }
+
+    /**
+     * Puts the controller back into a `snapshot()`, without events or interpolation.
+     * @param {object} state
+     */
+    restore(state) {
+        this._restorePose();
+        this.motor.setState(state);
+        this._currPos.copy(this.entity.getPosition());
+        this._currRot.copy(this.entity.getRotation());
+        this._prevPos.copy(this._currPos);
+        this._prevRot.copy(this._currRot);
+    }
 
-        /* 3. jump */
-        if (this._grounded && this._jumpPressed) {
-            this._velY = this.jumpSpeed;
-            this._grounded = false;
+    /**
+     * Server state after input `ackSeq` arrived – rewinds and replays the inputs the server
+     * hasn't seen when the prediction was off. Does nothing without a `predictor`.
+     * @param {object} serverState
+     * @param {number} ackSeq
+     * @returns {Vec3} the correction applied, zero when the prediction held
+     */
+    reconcile(serverState, ackSeq) {
+        if (!this.predictor) return new Vec3();
+
+        const rendered = this._rendered;
+        this._restorePose();
+        const correction = this.predictor.reconcile(serverState, ackSeq);
+
+        /* only the current step is corrected – the pose shown eases into it from the previous one */
+        this._currPos.copy(this.entity.getPosition());
+        this._currRot.copy(this.entity.getRotation());
+        if (rendered) this._render();
+        return correction;
+    }
+
+    /**
+     * Wall touched while airborne this frame, or null.
+     * @type {{normal: Vec3, entity: import('playcanvas').Entity}|null}
+     */
+    get wallContact() {
+        return this.motor.wallContact;
+    }
+
+    /* ───────── main update ───────── */
+    update(dt) {
+        const ent = this.entity;
+
+        /* 0. back to the simulated pose */
+        this._restorePose();
+
+        if (!this.fixedTimestep) {
+            this._accumulator = 0;
+            this._step(dt);
+            this._prevPos.copy(ent.getPosition());
+            this._prevRot.copy(ent.getRotation());
+            this._currPos.copy(this._prevPos);
+            this._currRot.copy(this._prevRot);
+            return;
         }
-        this._jumpPressed = false;
-
-        /* 4. horizontal input vector */
-        let horizDir = new Vec3();
-        if (this._horizontal || this._vertical) {
-            horizDir.copy(this.entity.forward).mulScalar(-this._vertical)
-                .add(new Vec3().copy(this.entity.right).mulScalar(this._horizontal))
-                .normalize();
+
+        /* 1. fixed steps – the frame's time is spent in whole steps, the rest carries over */
+        const h = Math.max(this.fixedDelta, EPS);
+        this._accumulator += dt;
+        let steps = 0;
+        while (this._accumulator >= h && steps < this.maxSubSteps) {
+            this._prevPos.copy(ent.getPosition());
+            this._prevRot.copy(ent.getRotation());
+            this._step(h);
+            this._accumulator -= h;
+            steps++;
         }
-        const moveSpeed = this._grounded ? this.speed : this.speed * this.airControl;
-        let desiredHoriz = horizDir.mulScalar(moveSpeed * dt);
-
-        /* 5. gravity */
-        this._velY += this.gravity * dt;
-        const desiredVert = this._velY * dt;
-
-        /* 6. clamp uphill component when on steep slope */
-        if (this._steepNormal) {
-            const upDir = projectOnPlane(Vec3.UP, this._steepNormal).normalize();
-            const uphill = desiredHoriz.dot(upDir);
-            if (uphill > 0) {
-                desiredHoriz.sub(upDir.mulScalar(uphill));
-            }
+        /* too far behind – drop the backlog rather than spiral */
+        if (this._accumulator >= h) this._accumulator %= h;
+        this._currPos.copy(ent.getPosition());
+        this._currRot.copy(ent.getRotation());
+        if (!this.interpolate) return;
+
+        /* 2. render part-way from the previous to the current step */
+        this._render();
+    }
+
+    /* Show the pose part-way from the previous step to the current one, by the leftover time */
+    _render() {
+        const ent = this.entity;
+        const alpha = this._accumulator / Math.max(this.fixedDelta, EPS);
+        this._renderPos.lerp(this._prevPos, this._currPos, alpha);
+        this._renderRot.slerp(this._prevRot, this._currRot, alpha);
+        if (this.visual) {
+            /* move only the visual child, the entity keeps its simulated pose */
+            const v = this.visual;
+            this._visualLocalPos.copy(v.getLocalPosition());
+            this._visualLocalRot.copy(v.getLocalRotation());
+            const back = new Quat().copy(this._currRot).invert();
+            const rot = new Quat().mul2(this._renderRot, back);
+            const pos = v.getPosition().clone().sub(this._currPos);
+            rot.transformVector(pos, pos).add(this._renderPos);
+            v.setPosition(pos);
+            v.setRotation(rot.mul(v.getRotation()));
+            this._renderVisual = v;
+        } else {
+            ent.setPosition(this._renderPos);
+            ent.setRotation(this._renderRot);
         }
+        this._rendered = true;
+    }
 
-        /* 7. two-pass collide-and-slide */
-        let pos = this.entity.getPosition().clone();
-        this._grounded = false;
-        this._groundCandidate = null;
-
-        /* vertical pass */
-        if (Math.abs(desiredVert) > EPS)
-            pos = sweep(this, pos, new Vec3(0, desiredVert, 0), true);
-
-        /* horizontal pass */
-        if (desiredHoriz.lengthSq() > EPS)
-            pos = sweep(this, pos, desiredHoriz, false);
-
-        /* clear steep flag for next frame */
-        this._steepNormal = null;
-
-        /* 8. ground-snap */
-        if (!this._grounded && this._velY < 0 && this.groundSnap > 0) {
-            const snapHit = this.app.systems.rigidbody.sphereCast(
-                this.radius,
-                pos,
-                pos.clone().add(Vec3.UP.clone().mulScalar(-this.groundSnap))
-            );
-            if (snapHit && snapHit.entity) {
-                const slopeDeg = Math.acos(
-                    clamp(snapHit.normal.dot(Vec3.UP), -1, 1)
-                ) * 180 / Math.PI;
-                if (slopeDeg < this.slopeLimitDeg) {
-                    pos.y -= clamp(snapHit.hitFraction * this.groundSnap, 0, this.groundSnap);
-                    this._grounded = true;
-                    this._groundCandidate = snapHit.entity;
-                }
-            }
+    /* Undo last frame's interpolation, keeping anything that moved or turned the entity since */
+    _restorePose() {
+        const ent = this.entity;
+        const shownPos = this._rendered && !this._renderVisual ? this._renderPos : this._currPos;
+        const shownRot = this._rendered && !this._renderVisual ? this._renderRot : this._currRot;
+        if (this._rendered && this._renderVisual) {
+            this._renderVisual.setLocalPosition(this._visualLocalPos);
+            this._renderVisual.setLocalRotation(this._visualLocalRot);
         }
+        this._rendered = false;
+        this._renderVisual = null;
+        const shift = ent.getPosition().clone().sub(shownPos);
+        const turn = new Quat().copy(shownRot).invert();
+        turn.mul2(ent.getRotation(), turn);
+        this._prevPos.add(shift);
+        this._currPos.add(shift);
+        this._prevRot.mul2(turn, this._prevRot);
+        this._currRot.mul2(turn, this._currRot);
+        ent.setPosition(this._currPos);
+        ent.setRotation(this._currRot);
+    }
 
-        /* 9. hover */
-        if (this._grounded)
-            pos.add(Vec3.UP.clone().mulScalar(this.hover));
-
-        /* 10. commit */
-        this.entity.setPosition(pos);
-
-        if (this.debug)
-            this.app.drawWireSphere(
-                pos,
-                this.radius,
-                this._grounded ? this.controllerGroundedDebugColor
-                    : this.controllerNotGroundedDebugColor,
-                20,
-                false
-            );
-
-        /* 11. reset vertical velocity when grounded */
-        if (this._grounded && this._velY < 0) this._velY = 0;
-
-        /* 12. remember ground (moving platforms) */
-        if (this._grounded) {
-            this._groundEntity = this._groundCandidate;
-            if (this._groundEntity) {
-                this._groundPrevPos.copy(this._groundEntity.getPosition());
-                this._groundPrevRot.copy(this._groundEntity.getRotation());
+    /* One simulation step, then the debug shape */
+    _step(dt) {
+        const motor = this.motor;
+        if (this.predictor) this.predictor.step(dt);
+        else motor.step(dt);
+
+        if (this.debug) {
+            /* one sphere per hemisphere centre (a single one for the sphere shape) */
+            const pos = this.entity.getPosition();
+            const half = halfSegment(motor);
+            for (const s of half ? [half, -half] : [0]) {
+                this.app.drawWireSphere(
+                    pos.clone().add(motor._up.clone().mulScalar(s)),
+                    this.radius,
+                    motor.grounded ? this.controllerGroundedDebugColor
+                        : this.controllerNotGroundedDebugColor,
+                    20,
+                    false
+                );
             }
-        } else {
-            this._groundEntity = null;
         }
-        this._wasGrounded = this._grounded;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,153 @@
+/* kccGravityZone.mjs – volumes overriding gravity for any kcc.mjs inside */
+
+import { Vec3, Mat4, Script } from 'playcanvas';
+
+/** @enum {string} */
+const ZoneShape = {
+    BOX: 'box',
+    SPHERE: 'sphere'
+};
+
+/** @enum {string} */
+const ZoneMode = {
+    /** pull along `direction` */
+    DIRECTION: 'direction',
+    /** pull toward the zone's centre – small planets */
+    POINT: 'point'
+};
+
+export class KccGravityZone extends Script {
+    static scriptName = 'kccGravityZone';
+
+    /**
+     * Enabled zones, queried by every KCC each frame.
+     * @type {Set<KccGravityZone>}
+     */
+    static zones = new Set();
+
+    /**
+     * Volume shape, sized by `halfExtents` / `radius` in local space
+     * @attribute
+     * @type {ZoneShape}
+     */
+    shape = ZoneShape.BOX;
+
+    /**
+     * @attribute
+     * @enabledif {shape === 'box'}
+     */
+    halfExtents = new Vec3(0.5, 0.5, 0.5);
+
+    /**
+     * @attribute
+     * @enabledif {shape === 'sphere'}
+     */
+    radius = 0.5;
+
+    /**
+     * Pull along a direction, or toward the centre
+     * @attribute
+     * @type {ZoneMode}
+     */
+    mode = ZoneMode.DIRECTION;
+
+    /**
+     * Gravity strength (m s⁻²), negative pushes away
+     * @attribute
+     */
+    gravity = 9.81;
+
+    /**
+     * Direction gravity pulls toward, in the zone's local space
+     * @attribute
+     * @enabledif {mode === 'direction'}
+     */
+    direction = new Vec3(0, -1, 0);
+
+    /**
+     * Higher priority zones override lower ones where they overlap
+     * @attribute
+     */
+    priority = 0;
+
+    /**
+     * Seconds to fully blend in on entering (and out on leaving)
+     * @attribute
+     */
+    blendTime = 0.25;
+
+    initialize() {
+        this._invWorld = new Mat4();
+
+        KccGravityZone.zones.add(this);
+        this.on('enable', () => KccGravityZone.zones.add(this));
+        this.on('disable', () => KccGravityZone.zones.delete(this));
+        this.on('destroy', () => KccGravityZone.zones.delete(this));
+    }
+
+    /**
+     * Is the world-space point inside the volume?
+     * @param {Vec3} point
+     * @returns {boolean}
+     */
+    contains(point) {
+        const local = this._invWorld.copy(this.entity.getWorldTransform()).invert()
+            .transformPoint(point, new Vec3());
+
+        if (this.shape === ZoneShape.SPHERE)
+            return local.lengthSq() <= this.radius * this.radius;
+
+        const he = this.halfExtents;
+        return Math.abs(local.x) <= he.x && Math.abs(local.y) <= he.y && Math.abs(local.z) <= he.z;
+    }
+
+    /**
+     * Gravity vector (m s⁻²) at a world-space point.
+     * @param {Vec3} point
+     * @param {Vec3} [out]
+     * @returns {Vec3}
+     */
+    getGravity(point, out = new Vec3()) {
+        if (this.mode === ZoneMode.POINT)
+            out.sub2(this.entity.getPosition(), point);
+        else
+            this.entity.getRotation().transformVector(this.direction, out);
+
+        if (out.lengthSq() > 0) out.normalize();
+        return out.mulScalar(this.gravity);
+    }
+}
+
+/**
+ * Layers the zones containing `point` over `base`, lowest priority first, each
+ * lerped in by its blend weight. `weights` is the caller's per-zone blend state
+ * and is advanced by `dt`.
+ * @param {Map<KccGravityZone, number>} weights
+ * @param {Vec3}   point
+ * @param {Vec3}   base – gravity vector outside any zone
+ * @param {number} dt
+ * @returns {Vec3} new gravity vector
+ */
+export function blendGravityZones(weights, point, base, dt) {
+    /* advance blend weights – zones gone from the scene just drop out */
+    for (const zone of weights.keys()) {
+        if (!KccGravityZone.zones.has(zone)) weights.delete(zone);
+    }
+    for (const zone of KccGravityZone.zones) {
+        const target = zone.entity.enabled && zone.contains(point) ? 1 : 0;
+        const w = weights.get(zone) || 0;
+        if (!w && !target) continue;
+
+        const step = zone.blendTime > 0 ? dt / zone.blendTime : 1;
+        const next = target > w ? Math.min(w + step, 1) : Math.max(w - step, 0);
+        if (next > 0) weights.set(zone, next);
+        else weights.delete(zone);
+    }
+
+    const g = base.clone();
+    const active = [...weights.keys()].sort((a, b) => a.priority - b.priority);
+    for (const zone of active) {
+        g.lerp(g, zone.getGravity(point), weights.get(zone));
+    }
+    return g;
+}
@@ -20,6 +20,12 @@ export class KccInputDesktop extends Script {
      */
     continuousJump = false;
 
+    /**
+     * Toggle crouch on key press instead of holding the key
+     * @attribute
+     */
+    crouchToggle = false;
+
     /**
      * @type {HTMLCanvasElement}
      * @private
@@ -39,6 +45,7 @@ export class KccInputDesktop extends Script {
 
         this._kcc = this.entity.script.kcc;
         this._cachedSpeed = this._kcc.speed;
+        this._wantCrouch = false;
 
         this.app.mouse.on(pc.EVENT_MOUSEMOVE, this.onMouseMove, this);
         this.app.mouse.on(pc.EVENT_MOUSEDOWN, this.onMouseDown, this);
@@ -64,12 +71,27 @@ export class KccInputDesktop extends Script {
         else
             jump = this._keys.wasPressed(pc.KEY_SPACE);
 
+        /* crouch – only forward changes, the KCC retries a blocked stand-up itself */
+        const wantCrouch = this.crouchToggle
+            ? this._wantCrouch !== this._keys.wasPressed(pc.KEY_C)
+            : this._keys.isPressed(pc.KEY_C);
+
+        if (wantCrouch !== this._wantCrouch) {
+            if (wantCrouch) this._kcc.crouch();
+            else this._kcc.stand();
+            this._wantCrouch = wantCrouch;
+        }
+
+        if (this._keys.wasPressed(pc.KEY_Q))
+            this._kcc.dash();
+
         const yawDelta = this.prevMousePosition.x - this.currMousePosition.x;
         this.prevMousePosition.copy(this.currMousePosition);
 
         /* feed the controller */
         if (this._kcc && this._kcc.setInput)
-            this._kcc.setInput(horizontal, vertical, jump, yawDelta * this.lookSpeed);
+            this._kcc.setInput(horizontal, vertical, jump, yawDelta * this.lookSpeed,
+                this._keys.isPressed(pc.KEY_SPACE));
     }
 
     onMouseMove(event) {
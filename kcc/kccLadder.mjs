@@ -0,0 +1,64 @@
+/* kccLadder.mjs – climbable volumes for kcc.mjs */
+
+import { Vec3, Mat4, Script } from 'playcanvas';
+
+export class KccLadder extends Script {
+    static scriptName = 'kccLadder';
+
+    /**
+     * Enabled ladders, queried by every KCC each frame.
+     * @type {Set<KccLadder>}
+     */
+    static ladders = new Set();
+
+    /**
+     * Box half extents in local space – the entity's up is the climbing axis
+     * @attribute
+     */
+    halfExtents = new Vec3(0.5, 1.5, 0.25);
+
+    initialize() {
+        this._invWorld = new Mat4();
+
+        KccLadder.ladders.add(this);
+        this.on('enable', () => KccLadder.ladders.add(this));
+        this.on('disable', () => KccLadder.ladders.delete(this));
+        this.on('destroy', () => KccLadder.ladders.delete(this));
+    }
+
+    /**
+     * Climbing axis in world space.
+     * @type {Vec3}
+     */
+    get axis() {
+        return this.entity.up;
+    }
+
+    /**
+     * Is the world-space point within `margin` (local units) of the volume?
+     * @param {Vec3}   point
+     * @param {number} [margin]
+     * @returns {boolean}
+     */
+    contains(point, margin = 0) {
+        const he = this.halfExtents;
+        const local = this._invWorld.copy(this.entity.getWorldTransform()).invert()
+            .transformPoint(point, new Vec3());
+        return Math.abs(local.x) <= he.x + margin &&
+            Math.abs(local.y) <= he.y + margin &&
+            Math.abs(local.z) <= he.z + margin;
+    }
+}
+
+/**
+ * First enabled ladder within `margin` of a point.
+ * @param {Vec3}   point
+ * @param {number} [margin]
+ * @returns {KccLadder|null}
+ */
+export function findLadder(point, margin = 0) {
+    for (const ladder of KccLadder.ladders) {
+        if (ladder.entity.enabled && ladder.contains(point, margin)) return ladder;
+    }
+    return null;
+}
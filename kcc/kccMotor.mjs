@@ -0,0 +1,1100 @@
+/* kccMotor.mjs – the simulation behind kcc.mjs, free of the Script lifecycle */
+import { Vec3, Quat, GraphNode, EventHandler } from 'playcanvas';
+import {
+    castShape, clamp, EPS, findLedge, fromTo, halfSegment, hitRegion, moveTowards, projectOnPlane,
+    shapeHeight, slopeDeg, stepUp, sweep, twist
+} from './kccUtils.mjs';
+import { getSurface } from './kccSurface.mjs';
+import { blendGravityZones } from './kccGravityZone.mjs';
+import { findWater } from './kccWater.mjs';
+import { findLadder } from './kccLadder.mjs';
+import { KccStateMachine, registerBuiltinStates } from './kccStateMachine.mjs';
+
+/* how far to feel for an adjacent wall when the sweep didn't touch one (m) */
+const WALL_PROBE = 0.05;
+
+/* depth past a threshold before swimming or floating flips back – stops buoyancy bobbing toggling them (m) */
+const WATER_HYSTERESIS = 0.2;
+
+/**
+ * Tuning the motor reads – also the defaults of the KCC script attributes of the same names,
+ * so they're only set here; see the README. A motor reads and writes them through its
+ * `config` (crouching changes `radius` or `height`).
+ */
+export const MOTOR_DEFAULTS = Object.freeze({
+    speed: 6,
+    crouchSpeed: 3,
+    gravity: -9.81,
+    up: new Vec3(0, 1, 0),
+    alignToUp: true,
+    jumpSpeed: 6,
+    coyoteTime: 0.1,
+    jumpBufferTime: 0.1,
+    airJumps: 0,
+    jumpCutMultiplier: 0.5,
+    fallGravityMultiplier: 1,
+    groundAcceleration: 60,
+    groundDeceleration: 60,
+    airAcceleration: 20,
+    maxAirSpeed: 6,
+    groundDrag: 8,
+    airDrag: 0.5,
+    airControl: 1,
+    radius: 0.5,
+    capsule: false,
+    height: 2,
+    crouchHeight: 0.6,
+    maxIterations: 5,
+    slopeLimitDeg: 50,
+    skin: 0.01,
+    groundSnap: 0.3,
+    stepHeight: 0.3,
+    hover: 0.2,
+    followPlatformTilt: false,
+    inheritPlatformYaw: true,
+    inheritPlatformVelocity: 1,
+    collisionGroup: 1,
+    collisionMask: 65535,
+    swimSpeed: 4,
+    swimAcceleration: 10,
+    waterDrag: 2,
+    buoyancy: 12,
+    swimDepth: 0.3,
+    floatDepth: 0.4,
+    climbSpeed: 3,
+    climbJumpOff: 4,
+    dashDistance: 4,
+    dashDuration: 0.2,
+    dashCharges: 1,
+    dashCooldown: 1,
+    airDash: true,
+    wallSlide: false,
+    wallSlideSpeed: 2,
+    wallJump: false,
+    wallJumpOut: 5,
+    wallJumpUp: 6,
+    wallJumpCooldown: 0.5,
+    ledgeGrab: false,
+    ledgeReach: 0.3,
+    minLedgeDepth: 0.2,
+    shimmySpeed: 1.5,
+    mantleTime: 0.4,
+    swimCamera: null,
+    castFilter: null,
+    gravityProvider: null
+});
+
+/* everything a step carries over to the next, besides the body's pose – see `getState()` */
+const STATE_KEYS = [
+    'velY', 'velH', 'velExt', 'force', 'wall', 'wallJump',
+    'jumping', 'airJumpsUsed', 'time', 'lastGroundedTime', 'jumpRequestTime',
+    'grounded', 'wasGrounded', 'groundEntity', 'groundPrevPos', 'groundPrevRot', 'platformVel',
+    'groundCandidate', 'surface', 'steepNormal', 'slideNormal',
+    'swimming', 'water', 'waterDepth', 'atSurface',
+    'climbing', 'ladder', 'climbCooldownUntil',
+    'dash', 'dashCharges', 'dashRecharge',
+    'hanging', 'ledge', 'mantle', 'ledgeCooldownUntil',
+    'up', 'gravity', 'shapeRot', 'zoneWeights',
+    'crouched', 'standRequested', 'standRadius', 'standHeight'
+];
+
+/* Detached copy of a state value – math and plain records are copied, entities and scripts shared */
+function copyValue(v) {
+    if (v instanceof Vec3 || v instanceof Quat) return v.clone();
+    if (v instanceof Map) return new Map(v);
+    if (v && Object.getPrototypeOf(v) === Object.prototype) return { ...v };
+    return v;
+}
+
+/**
+ * What the motor casts against – `app.systems.rigidbody` with convex-cast.js loaded, or
+ * anything with the same two methods and result, e.g. a mock world in tests.
+ * @typedef {object} CollisionWorld
+ * @property {(radius: number, from: Vec3, to: Vec3, margin?: number, startRot?: Quat,
+ * endRot?: Quat, pen?: number, opts?: object) => ConvexCastResult|null} sphereCast
+ * @property {(radius: number, height: number, from: Vec3, to: Vec3, margin?: number,
+ * startRot?: Quat, endRot?: Quat, pen?: number, opts?: object) => ConvexCastResult|null} capsuleCast
+ */
+
+/**
+ * One step's input – the arguments of `setInput()` by name.
+ * @typedef {object} MotorInput
+ * @property {number}  [horizontal] – strafe, −1 … 1
+ * @property {number}  [vertical]   – forward/back, −1 … 1 (− = forward)
+ * @property {boolean} [jump]       – jump pressed this step
+ * @property {number}  [yaw]        – turn this step (°)
+ * @property {boolean} [jumpHeld]   – jump button down, omit for fixed-height jumps
+ */
+
+/* ───────── motor ───────── */
+export class CharacterMotor {
+    /**
+     * @param {object} options
+     * @param {CollisionWorld} options.world
+     * @param {object} [options.config] – tuning, missing keys are filled in from `MOTOR_DEFAULTS`
+     * @param {GraphNode} [options.body] – node the motor moves and turns, a new one by default
+     * @param {EventHandler} [options.events] – where events are fired, a new one by default
+     */
+    constructor({ world, config = {}, body = new GraphNode(), events = new EventHandler() }) {
+        for (const key in MOTOR_DEFAULTS) {
+            if (config[key] === undefined) config[key] = copyValue(MOTOR_DEFAULTS[key]);
+        }
+
+        /** @type {CollisionWorld} */
+        this.world = world;
+        this.config = config;
+        /** @type {GraphNode} */
+        this.body = body;
+        /** @type {EventHandler} */
+        this.events = events;
+
+        /**
+         * Entities every cast passes through, e.g. the character's own rigidbodies.
+         * @type {object[]}
+         */
+        this.ignore = [];
+
+        /**
+         * Optional debug hook, called with each cast's start and end.
+         * @type {((from: Vec3, to: Vec3) => void)|null}
+         */
+        this.drawLine = null;
+
+        this._velY = 0;
+        this._velH = new Vec3();
+        this._velExt = new Vec3();
+        this._force = new Vec3();
+        this._wallContacts = [];
+        this._wall = null;
+        this._wallJump = null;
+        this._horizontal = 0;
+        this._vertical = 0;
+        this._jumpPressed = false;
+        this._jumpHeld = null;
+        this._yawDelta = 0;
+
+        this._jumping = false;
+        this._airJumpsUsed = 0;
+
+        this._time = 0;
+        this._lastGroundedTime = -Infinity;
+        this._jumpRequestTime = -Infinity;
+
+        this._grounded = false;
+        this._wasGrounded = false;
+        this._groundEntity = null;
+        this._groundPrevPos = new Vec3();
+        this._groundPrevRot = new Quat();
+        this._platformVel = new Vec3();
+        this._groundCandidate = null;
+        this._surface = null;
+
+        this._steepNormal = null;
+        this._slideNormal = null;
+
+        this._swimming = false;
+        this._water = null;
+        this._waterDepth = -Infinity;
+        this._atSurface = false;
+
+        this._climbing = false;
+        this._ladder = null;
+        this._climbCooldownUntil = -Infinity;
+
+        this._dash = null;
+        this._dashCharges = this.dashCharges;
+        this._dashRecharge = 0;
+
+        this._hanging = false;
+        this._ledge = null;
+        this._mantle = null;
+        this._ledgeCooldownUntil = -Infinity;
+
+        /* resolved each step from `up` / `gravityProvider` */
+        this._up = new Vec3(0, 1, 0);
+        this._gravity = this.gravity;
+        this._shapeRot = new Quat();
+        this._zoneWeights = new Map();
+
+        this._crouched = false;
+        this._standRequested = false;
+        this._standRadius = this.radius;
+        this._standHeight = this.height;
+
+        /**
+         * Locomotion states – register custom ones with `states.register()`.
+         * @type {KccStateMachine}
+         */
+        this.states = new KccStateMachine(this);
+        registerBuiltinStates(this.states);
+    }
+
+    /* Events go out through `events` – the KCC script when driven by one */
+    fire(name, ...args) {
+        this.events.fire(name, ...args);
+        return this;
+    }
+
+    /** @type {boolean} standing on walkable ground after the last step */
+    get grounded() {
+        return this._grounded;
+    }
+
+    /** @type {Vec3} horizontal velocity from input (m s⁻¹) */
+    get velocity() {
+        return this._velH;
+    }
+
+    /** @type {number} velocity along up (m s⁻¹) */
+    get verticalVelocity() {
+        return this._velY;
+    }
+
+    /** @type {Vec3} knockback and force velocity, across up (m s⁻¹) */
+    get externalVelocity() {
+        return this._velExt;
+    }
+
+    /** @type {Vec3} up used by the last step – `up`, or against the gravity field and zones */
+    get currentUp() {
+        return this._up;
+    }
+
+    /**
+     * Copy of everything the next step depends on – pose, velocities, timers, ground,
+     * mode and shape. Entities and volumes are kept by reference; pending input is not included.
+     * @returns {object}
+     */
+    getState() {
+        const state = {
+            position: this.body.getPosition().clone(),
+            rotation: this.body.getRotation().clone(),
+            radius: this.radius,
+            height: this.height,
+            current: this.states.current
+        };
+        for (const key of STATE_KEYS) state[key] = copyValue(this['_' + key]);
+        return state;
+    }
+
+    /**
+     * Puts the motor back into a state from `getState()`, without firing events.
+     * @param {object} state
+     */
+    setState(state) {
+        this.body.setPosition(state.position);
+        this.body.setRotation(state.rotation);
+        this.radius = state.radius;
+        this.height = state.height;
+        this.states.current = state.current;
+        for (const key of STATE_KEYS) this['_' + key] = copyValue(state[key]);
+    }
+
+    /**
+     * Pure form of `step()` – the state after `dt` seconds of `input` from `state`.
+     * @param {object}     state – from `getState()`
+     * @param {MotorInput} input
+     * @param {number}     dt
+     * @returns {object} the new state
+     */
+    simulate(state, input, dt) {
+        this.setState(state);
+        this.step(dt, input);
+        return this.getState();
+    }
+
+    /** @type {string|null} current state name, see `KccState` */
+    get state() {
+        return this.states.current;
+    }
+
+    /** @type {boolean} true while the shape is shrunk by `crouch()` */
+    get crouched() {
+        return this._crouched;
+    }
+
+    /* Shrink the shape to `crouchHeight`, feet stay planted */
+    crouch() {
+        this._standRequested = false;
+        if (this._crouched) return;
+
+        const before = shapeHeight(this);
+        this._standRadius = this.radius;
+        this._standHeight = this.height;
+
+        if (this.capsule)
+            this.height = Math.max(this.crouchHeight, this.radius * 2);
+        else
+            this.radius = Math.min(this.crouchHeight * 0.5, this.radius);
+
+        const drop = (before - shapeHeight(this)) * 0.5;
+        this.body.setPosition(
+            this.body.getPosition().clone().add(this._up.clone().mulScalar(-drop))
+        );
+
+        this._crouched = true;
+        this.fire('crouch:start');
+    }
+
+    /* Restore the standing shape; retried every frame while blocked overhead */
+    stand() {
+        if (!this._crouched) return true;
+        this._standRequested = true;
+        return this._tryStand();
+    }
+
+    _tryStand() {
+        const pos = this.body.getPosition().clone();
+        const grow = (this.capsule
+            ? Math.max(this._standHeight, this._standRadius * 2)
+            : this._standRadius * 2) - shapeHeight(this);
+
+        /* headroom – cast the current shape up by the height we'd gain */
+        if (grow > EPS) {
+            const hit = castShape(
+                this,
+                pos,
+                pos.clone().add(this._up.clone().mulScalar(grow + this.skin))
+            );
+            if (hit && hit.entity) return false;
+        }
+
+        this.radius = this._standRadius;
+        this.height = this._standHeight;
+        this.body.setPosition(pos.add(this._up.clone().mulScalar(Math.max(grow, 0) * 0.5)));
+
+        this._crouched = false;
+        this._standRequested = false;
+        this.fire('crouch:end');
+        return true;
+    }
+
+    /* Burst along `direction` (defaults to input, else facing) – false while unavailable */
+    dash(direction) {
+        if (this._dash || this._dashCharges < 1 || !this._freeMoving()) return false;
+        if (!this._grounded && !this.airDash) return false;
+
+        const dir = direction ? direction.clone() : this._inputDir();
+        if (dir.lengthSq() < EPS) dir.copy(this._facing());
+        if (dir.lengthSq() < EPS) return false;
+        dir.normalize();
+
+        const duration = Math.max(this.dashDuration, 1e-3);
+        this._dashCharges--;
+        this._dash = {
+            dir,
+            speed: this.dashDistance / duration,
+            remaining: duration,
+            grounded: this._grounded
+        };
+        this.fire('dash:start', dir);
+        return true;
+    }
+
+    /** @type {number} dashes available right now */
+    get dashChargesLeft() {
+        return this._dashCharges;
+    }
+
+    /* Instant velocity change (m s⁻¹) – knockback, explosions, jump pads */
+    addImpulse(v) {
+        const along = v.dot(this._up);
+        this._velY += along;
+        this._velExt.add(v).sub(this._up.clone().mulScalar(along));
+        if (along > 0) this._grounded = false;
+    }
+
+    /* Acceleration (m s⁻²) over the next update – call every frame to keep pushing */
+    addForce(f) {
+        this._force.add(f);
+    }
+
+    /*
+     * Called each frame by input script – `jumpHeld` enables short hops, omit it for fixed-height jumps.
+     * Jump presses and yaw pile up until a step consumes them, so none are lost between fixed steps.
+     */
+    setInput(h = 0, v = 0, jump = false, yaw = 0, jumpHeld = undefined) {
+        this._horizontal = h;
+        this._vertical = v;
+        this._jumpPressed = this._jumpPressed || jump;
+        this._jumpHeld = jumpHeld === undefined ? null : !!jumpHeld;
+        this._yawDelta += yaw;
+    }
+
+    /**
+     * Input the next step will use – what `setInput()` has gathered so far. Setting it
+     * replaces that outright, e.g. to replay a recorded step.
+     * @type {MotorInput}
+     */
+    get input() {
+        return {
+            horizontal: this._horizontal,
+            vertical: this._vertical,
+            jump: this._jumpPressed,
+            yaw: this._yawDelta,
+            jumpHeld: this._jumpHeld === null ? undefined : this._jumpHeld
+        };
+    }
+
+    set input(input) {
+        const held = input.jumpHeld;
+        this._horizontal = input.horizontal || 0;
+        this._vertical = input.vertical || 0;
+        this._jumpPressed = !!input.jump;
+        this._yawDelta = input.yaw || 0;
+        this._jumpHeld = held === undefined || held === null ? null : !!held;
+    }
+
+    /* Steps 3–6 – jumping, walking and gravity */
+    _walk(dt) {
+        const up = this._up;
+
+        /* 3. jump – buffered presses, coyote time after leaving ground */
+        if (this._jumpPressed) this._jumpRequestTime = this._time;
+        this._jumpPressed = false;
+
+        const jumpQueued = this._time - this._jumpRequestTime <= this.jumpBufferTime;
+        const canJump = this._grounded || this._time - this._lastGroundedTime <= this.coyoteTime;
+        const canAirJump = this._airJumpsUsed < this.airJumps;
+        if (jumpQueued && !canJump && this._canWallJump()) {
+            /* off the wall along its normal */
+            const wall = this._wall;
+            this._velY = this.wallJumpUp;
+            this._velH.copy(wall.normal).mulScalar(this.wallJumpOut);
+            this._wallJump = { entity: wall.entity, normal: wall.normal, time: this._time };
+            this._jumpRequestTime = -Infinity;
+            this._onJump('wall');
+            this.fire('walljump', wall.entity, wall.normal);
+        } else if (jumpQueued && (canJump || canAirJump)) {
+            if (!canJump) this._airJumpsUsed++;
+            this._velY = this.jumpSpeed;
+            this._grounded = false;
+            this._onJump(canJump ? 'ground' : 'air');
+
+            /* consume both – one press, one jump */
+            this._jumpRequestTime = -Infinity;
+            this._lastGroundedTime = -Infinity;
+        }
+
+        /* 3b. button released while rising – cut the jump short */
+        if (this._jumping && this._jumpHeld === false && this._velY > 0) {
+            this._velY *= this.jumpCutMultiplier;
+            this._jumping = false;
+        }
+        if (this._velY <= 0) this._jumping = false;
+
+        /* 4. horizontal input vector */
+        const horizDir = this._inputDir();
+        const baseSpeed = this._crouched ? this.crouchSpeed : this.speed;
+        const surface = this._grounded ? this._surface : null;
+        const targetVel = horizDir.mulScalar(baseSpeed * (surface ? surface.speedMultiplier : 1));
+
+        /* 4b. horizontal velocity – ground tracks the input, air only steers */
+        if (this._grounded) {
+            const rate = targetVel.lengthSq() > EPS ? this.groundAcceleration : this.groundDeceleration;
+            moveTowards(this._velH, targetVel, rate * (surface ? surface.friction : 1) * dt);
+        } else if (targetVel.lengthSq() > EPS) {
+            /* momentum is kept – input alone can't push past maxAirSpeed */
+            const cap = Math.max(this.maxAirSpeed, this._velH.length());
+            this._velH.add(targetVel.normalize().mulScalar(this.airAcceleration * this.airControl * dt));
+            if (this._velH.length() > cap) this._velH.normalize().mulScalar(cap);
+        }
+        const desiredHoriz = this._velH.clone().mulScalar(dt);
+
+        /* 4c. conveyor – carried like a platform, but through collide-and-slide */
+        if (surface) {
+            desiredHoriz.add(projectOnPlane(surface.conveyor, up).mulScalar(dt));
+        }
+
+        /* 5. gravity + external forces */
+        const gravity = this._velY < 0 ? this._gravity * this.fallGravityMultiplier : this._gravity;
+        this._velY += (gravity + this._force.dot(up)) * dt;
+
+        /* 5a. wall slide – cap the fall speed against a wall */
+        if (this.wallSlide && this._wall && this._velY < -this.wallSlideSpeed)
+            this._velY = -this.wallSlideSpeed;
+        const desiredVert = this._velY * dt;
+
+        /* 5b. knockback – decays with drag, collides like any other movement */
+        desiredHoriz.add(this._knockback(dt, this._grounded ? this.groundDrag : this.airDrag));
+
+        /* 6. clamp uphill component when on steep slope */
+        if (this._steepNormal) {
+            const upDir = projectOnPlane(up, this._steepNormal).normalize();
+            const uphill = desiredHoriz.dot(upDir);
+            if (uphill > 0) {
+                desiredHoriz.sub(upDir.mulScalar(uphill));
+            }
+        }
+
+        return { horiz: desiredHoriz, vert: desiredVert };
+    }
+
+    /**
+     * Wall touched while airborne this frame, or null.
+     * @type {{normal: Vec3, entity: import('playcanvas').Entity}|null}
+     */
+    get wallContact() {
+        return this._wall;
+    }
+
+    /* Dashing – fixed speed through collide-and-slide, gravity suspended */
+    _dashStep(dt) {
+        const d = this._dash;
+        const up = this._up;
+        const t = Math.min(dt, d.remaining);
+        d.remaining -= t;
+        this._velY = 0;
+
+        const step = d.dir.clone().mulScalar(d.speed * t);
+        const vert = step.dot(up);
+        if (d.remaining <= 0) this._endDash();
+        return { horiz: step.sub(up.clone().mulScalar(vert)), vert };
+    }
+
+    _endDash() {
+        const d = this._dash;
+        this._dash = null;
+
+        /* carry on no faster than walking */
+        this._velH.copy(projectOnPlane(d.dir, this._up)).mulScalar(Math.min(d.speed, this.speed));
+        this.fire('dash:end');
+    }
+
+    /* Wall right next to us along the input direction, or null */
+    _probeWall(pos) {
+        const dir = this._inputDir();
+        if (dir.lengthSq() < EPS) return null;
+
+        const hit = castShape(this, pos, pos.clone().add(dir.mulScalar(WALL_PROBE)));
+        if (!hit || !hit.entity) return null;
+
+        const normal = projectOnPlane(hit.normal, this._up);
+        if (slopeDeg(hit.normal, this._up) < this.slopeLimitDeg || normal.lengthSq() < EPS) return null;
+        return { normal: normal.normalize(), entity: hit.entity };
+    }
+
+    /* Touching a wall, and not the one we just jumped off */
+    _canWallJump() {
+        const wall = this._wall;
+        if (!this.wallJump || !wall) return false;
+
+        const last = this._wallJump;
+        return !last || last.entity !== wall.entity ||
+            last.normal.dot(wall.normal) < 0.9 ||
+            this._time - last.time > this.wallJumpCooldown;
+    }
+
+    /* Walking or airborne – not swimming, climbing or on a ledge */
+    _freeMoving() {
+        return !this._swimming && !this._climbing && !this._hanging && !this._mantle;
+    }
+
+    /* Every jump – ground, air, wall, water or ladder – goes through here */
+    _onJump(kind) {
+        this._jumping = true;
+        this.fire('jump', kind);
+    }
+
+    /* Unit input direction perpendicular to up, zero without input */
+    _inputDir() {
+        if (!this._horizontal && !this._vertical) return new Vec3();
+        const dir = new Vec3().copy(this.body.forward).mulScalar(-this._vertical)
+            .add(new Vec3().copy(this.body.right).mulScalar(this._horizontal));
+        return projectOnPlane(dir, this._up).normalize();
+    }
+
+    /* Swimming – 3D movement along the camera's pitch, buoyancy and drag */
+    _swim(dt) {
+        const up = this._up;
+        const depth = this._waterDepth;
+        const atSurface = depth <= this.floatDepth;
+
+        /* jump out when floating at the surface */
+        const jump = this._jumpPressed;
+        this._jumpPressed = false;
+        if (jump && atSurface) {
+            this._velY = this.jumpSpeed;
+            this._onJump('water');
+        } else {
+            /* input direction – jump held swims straight up */
+            const look = this.swimCamera || this.body;
+            const dir = new Vec3().copy(look.forward).mulScalar(-this._vertical)
+                .add(new Vec3().copy(look.right).mulScalar(this._horizontal));
+            if (jump || this._jumpHeld) dir.add(up);
+
+            /* can't swim up out of the water, only jump */
+            const rise = dir.dot(up);
+            if (atSurface && rise > 0) dir.sub(up.clone().mulScalar(rise));
+
+            const vel = this._velH.clone().add(up.clone().mulScalar(this._velY));
+            if (dir.lengthSq() > EPS) {
+                dir.normalize().mulScalar(this.swimSpeed);
+                moveTowards(vel, dir, this.swimAcceleration * dt);
+            }
+
+            /* buoyancy springs toward floatDepth, drag damps it */
+            vel.add(up.clone().mulScalar(this.buoyancy * clamp(depth - this.floatDepth, -1, 1) * dt));
+            vel.add(up.clone().mulScalar(this._force.dot(up) * dt));
+            vel.mulScalar(Math.exp(-this.waterDrag * dt));
+
+            this._velY = vel.dot(up);
+            this._velH.copy(vel).sub(up.clone().mulScalar(this._velY));
+        }
+
+        const horiz = this._velH.clone().mulScalar(dt)
+            .add(this._knockback(dt, this.waterDrag));
+        return { horiz, vert: this._velY * dt };
+    }
+
+    /* External forces (off the up axis) and knockback; returns this frame's displacement */
+    _knockback(dt, drag) {
+        const up = this._up;
+        this._velExt.add(this._force.sub(up.clone().mulScalar(this._force.dot(up))).mulScalar(dt));
+        this._force.set(0, 0, 0);
+        this._velExt.mulScalar(Math.exp(-drag * dt));
+        if (this._velExt.lengthSq() < 1e-6) this._velExt.set(0, 0, 0);
+        return this._velExt.clone().mulScalar(dt);
+    }
+
+    /* Climbing – input moves along the ladder axis, gravity suspended */
+    _climb(dt) {
+        const up = this._up;
+        const ladder = this._ladder;
+        const pos = this.body.getPosition();
+        const toLadder = projectOnPlane(ladder.entity.getPosition().clone().sub(pos), up);
+        if (toLadder.lengthSq() > EPS) toLadder.normalize();
+
+        this._velY = 0;
+        this._velH.set(0, 0, 0);
+        this._velExt.set(0, 0, 0);
+        this._force.set(0, 0, 0);
+
+        /* jump – detach with a push away from the ladder, moves from next frame */
+        if (this._jumpPressed) {
+            this._jumpPressed = false;
+            this._endClimb('jump');
+            this._velY = this.jumpSpeed;
+            this._velH.copy(toLadder).mulScalar(-this.climbJumpOff);
+            this._onJump('ladder');
+            return { horiz: new Vec3(), vert: 0 };
+        }
+
+        const along = ladder.axis.clone().mulScalar(-this._vertical * this.climbSpeed * dt);
+        let vert = along.dot(up);
+        const horiz = along.sub(up.clone().mulScalar(vert));
+
+        /* top – mount onto the walkable surface above, else hold there */
+        if (vert > 0 && !ladder.contains(pos.clone().add(up.clone().mulScalar(vert)), this.radius)) {
+            const mount = stepUp(
+                this,
+                pos,
+                toLadder.mulScalar((this.radius + this.skin) * 2),
+                shapeHeight(this)
+            );
+            if (mount) {
+                this.body.setPosition(mount.pos);
+                this._endClimb('top');
+                return { horiz: new Vec3(), vert: 0 };
+            }
+            vert = 0;
+            horiz.set(0, 0, 0);
+        }
+        return { horiz, vert };
+    }
+
+    /* Grab a ladder we overlap and move toward, let go at the bottom or once off it */
+    _updateLadder() {
+        const pos = this.body.getPosition();
+
+        if (this._climbing) {
+            if (!this._ladder.enabled || !this._ladder.contains(pos, this.radius))
+                this._endClimb('off');
+            else if (this._grounded && this._vertical > 0)
+                this._endClimb('bottom');
+            return;
+        }
+
+        if (this._swimming || this._hanging || this._mantle ||
+            this._time < this._climbCooldownUntil) return;
+
+        const ladder = findLadder(pos, this.radius);
+        if (!ladder) return;
+
+        const toLadder = projectOnPlane(ladder.entity.getPosition().clone().sub(pos), this._up);
+        if (toLadder.lengthSq() < EPS || this._inputDir().dot(toLadder.normalize()) < 0.5) return;
+
+        this._climbing = true;
+        this._ladder = ladder;
+        this._jumping = false;
+        this._airJumpsUsed = 0;
+        this.fire('climb:start', ladder.entity);
+    }
+
+    _endClimb(reason) {
+        const ladder = this._ladder;
+        this._climbing = false;
+        this._ladder = null;
+        /* short grace so a jump-off or mount doesn't re-grab straight away */
+        this._climbCooldownUntil = this._time + 0.3;
+        this.fire('climb:end', ladder ? ladder.entity : null, reason);
+    }
+
+    /* Facing direction perpendicular to up */
+    _facing() {
+        const f = projectOnPlane(this.body.forward, this._up);
+        return f.lengthSq() > EPS ? f.normalize() : f;
+    }
+
+    /* Grab a ledge in front at head height while falling or jumping */
+    _updateLedge() {
+        if (!this.ledgeGrab || this._hanging || this._mantle || this._climbing ||
+            this._swimming || this._grounded || this._time < this._ledgeCooldownUntil) return;
+
+        const facing = this._facing();
+        if (facing.lengthSq() < EPS) return;
+
+        const ledge = findLedge(this, this.body.getPosition(), facing);
+        if (!ledge) return;
+
+        this.body.setPosition(ledge.hang);
+        this._hanging = true;
+        this._ledge = ledge;
+        this._jumping = false;
+        this._airJumpsUsed = 0;
+        this.fire('ledge:grab', ledge.entity);
+    }
+
+    /* Hanging – shimmy along the edge, mantle up (forward / jump) or drop (back) */
+    _hang(dt) {
+        const up = this._up;
+        const ledge = this._ledge;
+        const pos = this.body.getPosition();
+        const none = { horiz: new Vec3(), vert: 0 };
+
+        this._velY = 0;
+        this._velH.set(0, 0, 0);
+        this._velExt.set(0, 0, 0);
+        this._force.set(0, 0, 0);
+
+        const jump = this._jumpPressed;
+        this._jumpPressed = false;
+
+        if (this._vertical > 0) {
+            this._releaseLedge('drop');
+            return none;
+        }
+
+        if (jump || this._vertical < 0) {
+            /* room to stand on top? then climb up, then over */
+            const landing = stepUp(
+                this,
+                pos,
+                ledge.normal.clone().mulScalar(-(this.radius + this.skin) * 2),
+                shapeHeight(this) + this.hover
+            );
+            if (landing) {
+                this._mantle = { from: pos.clone(), to: landing.pos, t: 0 };
+                this.fire('ledge:mantle', ledge.entity);
+            }
+            return none;
+        }
+
+        if (!this._horizontal) return none;
+
+        /* shimmy – only as far as there's still a ledge to hold */
+        const edge = new Vec3().cross(up, ledge.normal).normalize();
+        const side = edge.mulScalar(Math.sign(edge.dot(this.body.right) * this._horizontal) * this.shimmySpeed * dt);
+        const next = findLedge(this, pos.clone().add(side), ledge.normal.clone().mulScalar(-1));
+        if (!next) return none;
+
+        this._ledge = next;
+        const delta = next.hang.clone().sub(pos);
+        const vert = delta.dot(up);
+        return { horiz: delta.sub(up.clone().mulScalar(vert)), vert };
+    }
+
+    /* Mantling – up to the ledge's height, then over onto it */
+    _mantleStep(dt) {
+        const m = this._mantle;
+        m.t = Math.min(m.t + (this.mantleTime > 0 ? dt / this.mantleTime : 1), 1);
+
+        const mid = m.from.clone().add(
+            this._up.clone().mulScalar(new Vec3().sub2(m.to, m.from).dot(this._up))
+        );
+        const pos = m.t < 0.5
+            ? new Vec3().lerp(m.from, mid, m.t * 2)
+            : new Vec3().lerp(mid, m.to, m.t * 2 - 1);
+        this.body.setPosition(pos);
+
+        if (m.t >= 1) {
+            this._mantle = null;
+            this._releaseLedge('mantle');
+        }
+        return { horiz: new Vec3(), vert: 0 };
+    }
+
+    _releaseLedge(reason) {
+        const ledge = this._ledge;
+        this._hanging = false;
+        this._ledge = null;
+        this._ledgeCooldownUntil = this._time + 0.3;
+        this.fire('ledge:release', ledge ? ledge.entity : null, reason);
+    }
+
+    /* Track the water we're in – swim below swimDepth, stop once out of it */
+    _updateWater() {
+        const found = findWater(this.body.getPosition());
+        const depth = found ? found.depth : -Infinity;
+        this._waterDepth = depth;
+
+        if (!this._swimming && depth > this.swimDepth) {
+            this._swimming = true;
+            this._water = found.water;
+            /* falling in from above starts at the surface – it hasn't come up to it */
+            this._atSurface = depth <= this.floatDepth;
+            this._airJumpsUsed = 0;
+            this.fire('water:enter', found.water.entity);
+        } else if (this._swimming && depth < -WATER_HYSTERESIS) {
+            this._swimming = false;
+            const water = this._water;
+            this._water = null;
+            this.fire('water:exit', water ? water.entity : null);
+        }
+
+        /* reached the surface from below – only after sinking clearly under it */
+        if (this._swimming) {
+            if (depth > this.floatDepth + WATER_HYSTERESIS) {
+                this._atSurface = false;
+            } else if (!this._atSurface && depth <= this.floatDepth) {
+                this._atSurface = true;
+                this.fire('water:surface', this._water.entity);
+            }
+        }
+    }
+
+    /* ───────── one simulation step ───────── */
+    /**
+     * Advances the simulation by `dt` seconds.
+     * @param {number}     dt
+     * @param {MotorInput} [input] – this step's input, omit to use what `setInput()` gathered
+     */
+    step(dt, input) {
+        if (input) this.input = input;
+
+        this._time += dt;
+
+        /* recharge dashes one at a time */
+        if (this._dashCharges < this.dashCharges) {
+            this._dashRecharge += dt;
+            if (this._dashRecharge >= this.dashCooldown) {
+                this._dashRecharge = 0;
+                this._dashCharges++;
+            }
+        }
+
+        /* 0. gravity – field provider and gravity zones, else the `up` and `gravity` attributes */
+        const at = this.body.getPosition();
+        const field = this.gravityProvider && this.gravityProvider(at);
+        const base = field && field.lengthSq() > EPS ? field : null;
+        const g = blendGravityZones(
+            this._zoneWeights,
+            at,
+            base || this.up.clone().normalize().mulScalar(this.gravity),
+            dt
+        );
+        if (base || this._zoneWeights.size) {
+            /* zero-g keeps the last up */
+            if (g.lengthSq() > EPS) this._up.copy(g).normalize().mulScalar(-1);
+            this._gravity = -g.length();
+        } else {
+            this._up.copy(this.up).normalize();
+            this._gravity = this.gravity;
+        }
+        const up = this._up;
+        fromTo(Vec3.UP, up, this._shapeRot);
+
+        /* re-express velocities in the (possibly new) horizontal plane */
+        this._velH.copy(projectOnPlane(this._velH, up));
+        this._velExt.copy(projectOnPlane(this._velExt, up));
+
+        if (this.alignToUp) {
+            const align = fromTo(this.body.up, up);
+            this.body.setRotation(align.mul(this.body.getRotation()));
+        }
+
+        /* 0b. pending stand-up, waits for headroom */
+        if (this._standRequested) this._tryStand();
+
+        /* 1. apply player yaw from input */
+        if (Math.abs(this._yawDelta) > EPS) {
+            this.body.rotateLocal(0, this._yawDelta, 0);
+            this._yawDelta = 0;
+        }
+
+        /* 2. follow moving ground – position + yaw-only or full rotation */
+        this._platformVel.set(0, 0, 0);
+        if (this._wasGrounded && this._groundEntity) {
+            const carriedFrom = this.body.getPosition().clone();
+            const gp = this._groundEntity.getPosition();
+            const gr = this._groundEntity.getRotation();
+
+            /* Δrotation of the platform since last frame */
+            const deltaRot = gr.clone().mul(this._groundPrevRot.clone().invert());
+
+            /* yaw part of Δrotation – its twist around up */
+            const yawQuat = twist(deltaRot, up);
+
+            if (this.followPlatformTilt) {
+                /* carry the contact point with the full Δrotation, stay upright on it */
+                const lift = up.clone().mulScalar(halfSegment(this) + this.radius + this.hover);
+                const rel = this.body.getPosition().clone().sub(lift).sub(this._groundPrevPos);
+                deltaRot.transformVector(rel, rel);
+                this.body.setPosition(gp.clone().add(rel).add(lift));
+            } else {
+                /* rotate relative offset around platform pivot */
+                const rel = this.body.getPosition().clone().sub(this._groundPrevPos);
+                yawQuat.transformVector(rel, rel);
+                this.body.setPosition(gp.clone().add(rel));
+            }
+
+            /* apply yaw to character orientation */
+            if (this.inheritPlatformYaw) {
+                this.body.setRotation(
+                    yawQuat.clone().mul(this.body.getRotation())
+                );
+            }
+
+            /* platform velocity at the contact point, linear + angular */
+            if (dt > 0) {
+                this._platformVel.sub2(this.body.getPosition(), carriedFrom).mulScalar(1 / dt);
+            }
+        }
+
+        /* 2b. water – deep enough and we swim */
+        this._updateWater();
+
+        /* 2c. ladders – grab when moving toward one */
+        this._updateLadder();
+
+        /* 2d. ledges – grab one in front while airborne */
+        this._updateLedge();
+
+        /* 2e. a dash ends early when another mode takes over */
+        if (this._dash && !this._freeMoving()) this._endDash();
+
+        /* 3.–6. desired motion for this frame – from the state, else walking */
+        const state = this.states.evaluate();
+        const move = state && state.move ? state.move(this, dt) : this._walk(dt);
+        const desiredVert = move.vert;
+        const desiredHoriz = move.horiz;
+
+        /* 7. two-pass collide-and-slide */
+        const impactSpeed = Math.max(-this._velY, 0);
+        let pos = this.body.getPosition().clone();
+        this._grounded = false;
+        this._groundCandidate = null;
+        this._wallContacts.length = 0;
+
+        /* vertical pass */
+        if (Math.abs(desiredVert) > EPS)
+            pos = sweep(this, pos, up.clone().mulScalar(desiredVert), true);
+
+        /* horizontal pass */
+        if (desiredHoriz.lengthSq() > EPS)
+            pos = sweep(this, pos, desiredHoriz, false);
+
+        /* walls absorb the velocity pushing into them */
+        for (const { normal: n } of this._wallContacts) {
+            for (const v of [this._velH, this._velExt]) {
+                const into = v.dot(n);
+                if (into < 0) v.sub(n.clone().mulScalar(into));
+            }
+        }
+
+        /* sliding down a slope too steep to stand on */
+        this._slideNormal = !this._grounded && this._steepNormal ? this._steepNormal.clone() : null;
+
+        /* clear steep flag for next frame */
+        this._steepNormal = null;
+
+        /* 8. ground-snap – reaches down a whole step when descending stairs */
+        const snapDist = this._wasGrounded
+            ? Math.max(this.groundSnap, this.stepHeight + this.hover)
+            : this.groundSnap;
+        /* a dash from the ground stays glued to it, even with gravity suspended */
+        const falling = this._velY < 0 || (this._dash && this._dash.grounded);
+        if (!this._grounded && this._freeMoving() && falling && snapDist > 0) {
+            const snapHit = castShape(
+                this,
+                pos,
+                pos.clone().add(up.clone().mulScalar(-snapDist))
+            );
+            if (snapHit && snapHit.entity && hitRegion(this, pos, snapHit) === 'bottom') {
+                if (slopeDeg(snapHit.normal, up) < this.slopeLimitDeg) {
+                    pos.sub(up.clone().mulScalar(clamp(snapHit.hitFraction * snapDist, 0, snapDist)));
+                    this._grounded = true;
+                    this._groundCandidate = snapHit.entity;
+                }
+            }
+        }
+
+        /* 9. hover */
+        if (this._grounded && this._freeMoving())
+            pos.add(up.clone().mulScalar(this.hover));
+
+        /* 9b. wall contact while airborne – from the sweep, else a short probe along the input */
+        this._wall = null;
+        if (!this._grounded && this._freeMoving()) {
+            this._wall = this._wallContacts[0] || this._probeWall(pos);
+        }
+
+        /* 10. commit */
+        this.body.setPosition(pos);
+
+        /* 11. reset vertical velocity when grounded */
+        if (this._grounded && this._velY < 0) this._velY = 0;
+
+        /* 11a. contact events */
+        if (this._grounded && !this._wasGrounded && this._freeMoving())
+            this.fire('land', impactSpeed, this._groundCandidate);
+        else if (!this._grounded && this._wasGrounded)
+            this.fire('leaveGround', this._groundEntity);
+
+        /* 11b. takeoff – keep the platform's motion instead of stopping dead */
+        if (this._wasGrounded && !this._grounded && this._groundEntity) {
+            const k = this.inheritPlatformVelocity;
+            const along = this._platformVel.dot(up);
+            this._velH.add(projectOnPlane(this._platformVel, up).mulScalar(k));
+            this._velY += along * k;
+        }
+
+        /* 12. remember ground (moving platforms, surface materials) */
+        if (this._grounded) {
+            this._lastGroundedTime = this._time;
+            this._airJumpsUsed = 0;
+            this._wallJump = null;
+            this._groundEntity = this._groundCandidate;
+            this._surface = getSurface(this._groundEntity);
+            if (this._groundEntity) {
+                this._groundPrevPos.copy(this._groundEntity.getPosition());
+                this._groundPrevRot.copy(this._groundEntity.getRotation());
+            }
+        } else {
+            this._groundEntity = null;
+            this._surface = null;
+        }
+        this._wasGrounded = this._grounded;
+
+        /* 13. settle the state on this frame's outcome */
+        this.states.evaluate();
+    }
+}
+
+/* tuning reads straight through to `config`, so a KCC script's attributes stay live */
+for (const key of Object.keys(MOTOR_DEFAULTS)) {
+    Object.defineProperty(CharacterMotor.prototype, key, {
+        get() { return this.config[key]; },
+        set(v) { this.config[key] = v; }
+    });
+}
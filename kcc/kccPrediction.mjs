@@ -0,0 +1,196 @@
+/* kccPrediction.mjs – client-side prediction and server reconciliation for kccMotor.mjs */
+import { Vec3, EventHandler } from 'playcanvas';
+
+/**
+ * One predicted step, as sent to the server.
+ * @typedef {object} KccInputMessage
+ * @property {number} seq – increasing from 1
+ * @property {import('./kccMotor.mjs').MotorInput} input
+ * @property {number} dt
+ */
+
+/**
+ * The server's answer – the state after every input up to `ackSeq`.
+ * @typedef {object} KccStateMessage
+ * @property {number} ackSeq
+ * @property {object} state – from `CharacterMotor.getState()`
+ */
+
+/* ───────── client ───────── */
+export class KccPredictor {
+    /**
+     * @param {import('./kccMotor.mjs').CharacterMotor} motor
+     * @param {object} [options]
+     * @param {number} [options.capacity] – steps remembered, must cover the round trip
+     * @param {number} [options.tolerance] – position and velocity error (m, m s⁻¹) a
+     * server state may have before the motor is rewound
+     * @param {(message: KccInputMessage) => void} [options.send] – called with every step's input
+     */
+    constructor(motor, { capacity = 128, tolerance = 1e-3, send = null } = {}) {
+        this.motor = motor;
+        this.tolerance = tolerance;
+        this.send = send;
+
+        /** @type {number} sequence number of the last predicted step */
+        this.seq = 0;
+
+        /** @type {number} last sequence number the server acknowledged */
+        this.ackSeq = 0;
+
+        /* ring buffer of {seq, input, dt, state}, slot = seq % capacity */
+        this._buffer = new Array(Math.max(capacity, 1)).fill(null);
+
+        /* replays run silently – their landings and jumps already fired once */
+        this._silent = new EventHandler();
+    }
+
+    /* Recorded step `seq`, or null once overwritten */
+    _entry(seq) {
+        const e = this._buffer[seq % this._buffer.length];
+        return e && e.seq === seq ? e : null;
+    }
+
+    /**
+     * Predicts one step with `input`, remembers it and sends it.
+     * @param {number} dt
+     * @param {import('./kccMotor.mjs').MotorInput} [input] – defaults to what `setInput()` gathered
+     * @returns {number} the step's sequence number
+     */
+    step(dt, input = this.motor.input) {
+        const seq = ++this.seq;
+        const recorded = { ...input };
+        this.motor.step(dt, recorded);
+        this._buffer[seq % this._buffer.length] = { seq, input: recorded, dt, state: this.motor.getState() };
+        if (this.send) this.send({ seq, input: recorded, dt });
+        return seq;
+    }
+
+    /**
+     * Accepts the server's state after input `ackSeq`. When it disagrees with what was
+     * predicted the motor is rewound to it and the steps the server hasn't seen yet are
+     * replayed, without firing events. Stale or repeated answers are ignored.
+     * @param {object} serverState – from `CharacterMotor.getState()` on the server
+     * @param {number} ackSeq
+     * @returns {Vec3} how far the correction moved the character, zero when the prediction held
+     */
+    reconcile(serverState, ackSeq) {
+        const motor = this.motor;
+        const correction = new Vec3();
+        if (ackSeq <= this.ackSeq || ackSeq > this.seq) return correction;
+        this.ackSeq = ackSeq;
+
+        const predicted = this._entry(ackSeq);
+        if (predicted && this._agrees(predicted.state, serverState)) return correction;
+
+        const from = motor.body.getPosition().clone();
+        const pending = motor.input;
+        const events = motor.events;
+        motor.events = this._silent;
+
+        motor.setState(serverState);
+        for (let seq = ackSeq + 1; seq <= this.seq; seq++) {
+            const e = this._entry(seq);
+            if (!e) continue;
+            motor.step(e.dt, e.input);
+            e.state = motor.getState();
+        }
+
+        motor.events = events;
+        motor.input = pending;
+        return correction.sub2(motor.body.getPosition(), from);
+    }
+
+    /* Close enough that replaying would change nothing worth seeing */
+    _agrees(a, b) {
+        const tol = this.tolerance;
+        return a.position.distance(b.position) <= tol &&
+            a.velH.distance(b.velH) <= tol &&
+            Math.abs(a.velY - b.velY) <= tol &&
+            a.grounded === b.grounded &&
+            a.current === b.current;
+    }
+}
+
+/* ───────── server ───────── */
+export class KccAuthority {
+    /**
+     * @param {import('./kccMotor.mjs').CharacterMotor} motor – the server's copy of the character
+     */
+    constructor(motor) {
+        this.motor = motor;
+
+        /** @type {number} sequence number of the last input applied */
+        this.ackSeq = 0;
+    }
+
+    /**
+     * Runs a client's input, in order – repeats and late arrivals are dropped.
+     * @param {KccInputMessage} message
+     * @returns {boolean} true when applied
+     */
+    apply({ seq, input, dt }) {
+        if (seq <= this.ackSeq) return false;
+        this.motor.step(dt, input);
+        this.ackSeq = seq;
+        return true;
+    }
+
+    /**
+     * State to send back to the client.
+     * @returns {KccStateMessage}
+     */
+    snapshot() {
+        return { ackSeq: this.ackSeq, state: this.motor.getState() };
+    }
+}
+
+/* ───────── loopback ───────── */
+
+/* One side of a `LoopbackTransport` */
+class LoopbackEndpoint {
+    constructor(transport) {
+        this._transport = transport;
+        this._inbox = [];
+        this.peer = null;
+    }
+
+    /* Queue `message` for the other side, delivered after the transport's latency */
+    send(message) {
+        this.peer._inbox.push({ at: this._transport.time + this._transport.latency, message });
+    }
+
+    /**
+     * Messages that have arrived, oldest first.
+     * @returns {object[]}
+     */
+    receive() {
+        const now = this._transport.time;
+        const due = [];
+        while (this._inbox.length && this._inbox[0].at <= now) due.push(this._inbox.shift().message);
+        return due;
+    }
+}
+
+/**
+ * In-process stand-in for the network, for testing prediction – messages sent on
+ * `client` arrive on `server` (and back) `latency` seconds of `advance()` later.
+ */
+export class LoopbackTransport {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.latency] – one-way delay (s)
+     */
+    constructor({ latency = 0.1 } = {}) {
+        this.latency = latency;
+        this.time = 0;
+        this.client = new LoopbackEndpoint(this);
+        this.server = new LoopbackEndpoint(this);
+        this.client.peer = this.server;
+        this.server.peer = this.client;
+    }
+
+    /* Move the transport's clock on */
+    advance(dt) {
+        this.time += dt;
+    }
+}
@@ -0,0 +1,225 @@
+/* kccRemote.mjs – other players' characters, played back from kcc.mjs snapshots */
+
+import { Vec3, Quat, Script, EventHandler } from 'playcanvas';
+import { clamp, fromTo } from './kccUtils.mjs';
+
+/* snapshots kept at most – older ones are dropped first */
+const MAX_SNAPSHOTS = 64;
+
+/* playback speed-up per second of drift from `delay` behind the newest snapshot */
+const CLOCK_CATCH_UP = 2;
+
+/**
+ * What a remote character is played back from – see `remoteSnapshot()`.
+ * @typedef {object} KccRemoteSnapshot
+ * @property {number}  time     – sender's clock (s)
+ * @property {Vec3}    position
+ * @property {Vec3}    [up]     – the character's up, world up when left out
+ * @property {number}  yaw      – facing around `up` (°)
+ * @property {boolean} grounded
+ * @property {Vec3}    velocity – full velocity (m s⁻¹)
+ */
+
+/**
+ * Snapshot of a local KCC for sending to the other players – its simulated pose, not
+ * the interpolated one on screen.
+ * @param {import('./kcc.mjs').KCC} kcc
+ * @param {number} time – sender's clock (s)
+ * @returns {KccRemoteSnapshot}
+ */
+export function remoteSnapshot(kcc, time) {
+    const motor = kcc.motor;
+    const { position, rotation } = kcc.snapshot();
+    const up = motor.currentUp.clone();
+
+    /* facing with the tilt to `up` taken out */
+    const untilt = fromTo(Vec3.UP, up).invert();
+    const f = untilt.mul(rotation).transformVector(Vec3.FORWARD, new Vec3());
+    return {
+        time,
+        position,
+        up,
+        yaw: Math.atan2(-f.x, -f.z) * 180 / Math.PI,
+        grounded: motor.grounded,
+        velocity: motor.velocity.clone().add(motor.externalVelocity)
+            .add(up.clone().mulScalar(motor.verticalVelocity))
+    };
+}
+
+/* Speed along the snapshot's up (m s⁻¹) */
+const rising = s => s.velocity.dot(s.up);
+
+/* Shortest signed turn from `a` to `b` (°) */
+const deltaAngle = (a, b) => ((b - a) % 360 + 540) % 360 - 180;
+
+/* ───────── playback ───────── */
+export class KccRemoteBuffer {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.config] – `delay`, `maxExtrapolation` and `jumpDetectSpeed`,
+     * read every update; the kccRemote script passes itself
+     * @param {EventHandler} [options.events] – where events are fired, a new one by default
+     */
+    constructor({
+        config = { delay: 0.1, maxExtrapolation: 0.25, jumpDetectSpeed: 2 },
+        events = new EventHandler()
+    } = {}) {
+        this.config = config;
+        this.events = events;
+
+        /* buffer[0] is the last snapshot played past, the rest are still ahead */
+        this._buffer = [];
+        this._time = 0;
+
+        /** @type {KccRemoteSnapshot|null} pose of the last update */
+        this.pose = null;
+    }
+
+    /**
+     * Adds a snapshot – ones older than the newest so far are dropped.
+     * @param {KccRemoteSnapshot} snapshot
+     * @returns {boolean} true when buffered
+     */
+    push(snapshot) {
+        const buf = this._buffer;
+        const newest = buf[buf.length - 1];
+        if (newest && snapshot.time <= newest.time) return false;
+
+        buf.push({
+            time: snapshot.time,
+            position: snapshot.position.clone(),
+            up: snapshot.up ? snapshot.up.clone().normalize() : Vec3.UP.clone(),
+            yaw: snapshot.yaw,
+            grounded: !!snapshot.grounded,
+            velocity: snapshot.velocity ? snapshot.velocity.clone() : new Vec3()
+        });
+        if (buf.length > MAX_SNAPSHOTS) buf.shift();
+
+        /* first one – start playback `delay` behind it */
+        if (!newest) this._time = snapshot.time - this.config.delay;
+        return true;
+    }
+
+    /**
+     * Moves playback on by `dt`, firing the events of the snapshots passed.
+     * @param {number} dt
+     * @returns {KccRemoteSnapshot|null} the pose to show, null before the first snapshot
+     */
+    update(dt) {
+        const buf = this._buffer;
+        if (!buf.length) return null;
+
+        /* playback clock – up to 50 % fast or slow to stay `delay` behind the newest, jumps when far off */
+        const { delay, maxExtrapolation } = this.config;
+        const target = buf[buf.length - 1].time - delay;
+        const drift = target - this._time;
+        if (drift > delay || drift < -(delay + maxExtrapolation)) this._time = target;
+        else this._time += dt * clamp(1 + drift * CLOCK_CATCH_UP, 0.5, 1.5);
+
+        const t = this._time;
+        while (buf.length > 1 && buf[1].time <= t) {
+            this._pass(buf[0], buf[1]);
+            buf.shift();
+        }
+
+        this.pose = buf.length > 1 && t > buf[0].time
+            ? this._interpolate(buf[0], buf[1], t)
+            : this._extrapolate(buf[0], t);
+        return this.pose;
+    }
+
+    /* Played from `a` past `b` – fire what the local KCC would have */
+    _pass(a, b) {
+        const vy = rising(b);
+        if (!b.grounded && vy - rising(a) > this.config.jumpDetectSpeed && vy > 0)
+            this.events.fire('jump', a.grounded ? 'ground' : 'air');
+
+        if (b.grounded && !a.grounded)
+            this.events.fire('land', Math.max(-rising(a), 0), null);
+        else if (!b.grounded && a.grounded)
+            this.events.fire('leaveGround', null);
+    }
+
+    /* Cubic Hermite through both positions, matching their velocities */
+    _interpolate(a, b, t) {
+        const span = b.time - a.time;
+        const s = (t - a.time) / span;
+        const s2 = s * s, s3 = s2 * s;
+        const h00 = 2 * s3 - 3 * s2 + 1, h10 = s3 - 2 * s2 + s;
+        const h01 = -2 * s3 + 3 * s2, h11 = s3 - s2;
+
+        /* up blended between the two, switching half-way when they're opposite */
+        const up = new Vec3().lerp(a.up, b.up, s);
+        if (up.lengthSq() < 1e-8) up.copy(s < 0.5 ? a.up : b.up);
+
+        const position = a.position.clone().mulScalar(h00)
+            .add(a.velocity.clone().mulScalar(h10 * span))
+            .add(b.position.clone().mulScalar(h01))
+            .add(b.velocity.clone().mulScalar(h11 * span));
+        return {
+            time: t,
+            position,
+            up: up.normalize(),
+            yaw: a.yaw + deltaAngle(a.yaw, b.yaw) * s,
+            grounded: a.grounded,
+            velocity: new Vec3().lerp(a.velocity, b.velocity, s)
+        };
+    }
+
+    /* Past the newest snapshot – carry on along its velocity for up to `maxExtrapolation` */
+    _extrapolate(a, t) {
+        const ahead = Math.min(Math.max(t - a.time, 0), this.config.maxExtrapolation);
+        return {
+            time: t,
+            position: a.position.clone().add(a.velocity.clone().mulScalar(ahead)),
+            up: a.up.clone(),
+            yaw: a.yaw,
+            grounded: a.grounded,
+            velocity: a.velocity.clone()
+        };
+    }
+}
+
+/* ───────── script ───────── */
+export class KccRemote extends Script {
+    static scriptName = 'kccRemote';
+
+    /** Playback delay (s)             @attribute */ delay = 0.1;
+    /** Max extrapolation (s)          @attribute */ maxExtrapolation = 0.25;
+    /** Rise read as a jump (m s⁻¹)    @attribute */ jumpDetectSpeed = 2;
+
+    initialize() {
+        /**
+         * Snapshot playback – fires `land`, `leaveGround` and `jump` on this script.
+         * @type {KccRemoteBuffer}
+         */
+        this.buffer = new KccRemoteBuffer({ config: this, events: this });
+    }
+
+    /**
+     * Feed a snapshot received from the network, see `remoteSnapshot()`.
+     * @param {KccRemoteSnapshot} snapshot
+     */
+    push(snapshot) {
+        this.buffer.push(snapshot);
+    }
+
+    /** @type {boolean} grounded in the pose shown */
+    get grounded() {
+        return !!this.buffer.pose && this.buffer.pose.grounded;
+    }
+
+    /** @type {Vec3} velocity in the pose shown (m s⁻¹) */
+    get velocity() {
+        return this.buffer.pose ? this.buffer.pose.velocity : Vec3.ZERO;
+    }
+
+    update(dt) {
+        const pose = this.buffer.update(dt);
+        if (!pose) return;
+        this.entity.setPosition(pose.position);
+        /* turned by yaw around up, then tilted onto the character's up */
+        const yaw = new Quat().setFromEulerAngles(0, pose.yaw, 0);
+        this.entity.setRotation(fromTo(Vec3.UP, pose.up).mul(yaw));
+    }
+}
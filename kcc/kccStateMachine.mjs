@@ -0,0 +1,154 @@
+/* kccStateMachine.mjs – locomotion states of kcc.mjs */
+
+/** Built-in state names. */
+export const KccState = Object.freeze({
+    GROUNDED: 'grounded',
+    SLIDING: 'sliding',
+    JUMPING: 'jumping',
+    AIRBORNE: 'airborne',
+    FALLING: 'falling',
+    DASHING: 'dashing',
+    SWIMMING: 'swimming',
+    CLIMBING: 'climbing',
+    HANGING: 'hanging',
+    MANTLING: 'mantling'
+});
+
+/**
+ * @typedef {object} KccStateDef
+ * @property {number} [priority] – the highest priority state whose test passes is
+ * current; custom states default to 50, above the locomotion states and below the modes
+ * @property {(kcc: CharacterMotor) => boolean} test
+ * @property {(kcc: CharacterMotor, dt: number) => {horiz: Vec3, vert: number}} [move] – the
+ * frame's desired displacement, defaults to walking
+ * @property {(kcc: CharacterMotor, from: string|null) => void} [enter]
+ * @property {(kcc: CharacterMotor, to: string) => void} [exit]
+ */
+
+export class KccStateMachine {
+    /**
+     * @param {CharacterMotor} kcc
+     */
+    constructor(kcc) {
+        this._kcc = kcc;
+        /** @type {Map<string, KccStateDef>} */
+        this._states = new Map();
+        this._sorted = [];
+
+        /** @type {string|null} */
+        this.current = null;
+    }
+
+    /**
+     * Adds or replaces a state.
+     * @param {string} name
+     * @param {KccStateDef} def
+     * @returns {KccStateMachine}
+     */
+    register(name, def) {
+        this._states.set(name, { priority: 50, ...def });
+        this._sort();
+        return this;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {KccStateMachine}
+     */
+    unregister(name) {
+        this._states.delete(name);
+        this._sort();
+        return this;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {KccStateDef|undefined}
+     */
+    get(name) {
+        return this._states.get(name);
+    }
+
+    /**
+     * Switches to the highest priority state whose test passes, firing
+     * `state:change` (to, from) on the controller when it differs.
+     * @returns {KccStateDef|null}
+     */
+    evaluate() {
+        const kcc = this._kcc;
+        for (const [name, def] of this._sorted) {
+            if (!def.test(kcc)) continue;
+
+            if (name !== this.current) {
+                const from = this.current;
+                const prev = from !== null ? this._states.get(from) : null;
+                if (prev && prev.exit) prev.exit(kcc, name);
+                this.current = name;
+                if (def.enter) def.enter(kcc, from);
+                kcc.fire('state:change', name, from);
+            }
+            return def;
+        }
+        return null;
+    }
+
+    _sort() {
+        this._sorted = [...this._states].sort((a, b) => b[1].priority - a[1].priority);
+    }
+}
+
+/**
+ * Registers the controller's own states – the modes, each supplying the frame's
+ * motion, above the walking states classified from contact and velocity.
+ * @param {KccStateMachine} sm
+ */
+export function registerBuiltinStates(sm) {
+    sm.register(KccState.MANTLING, {
+        priority: 100,
+        test: kcc => !!kcc._mantle,
+        move: (kcc, dt) => kcc._mantleStep(dt)
+    });
+    sm.register(KccState.HANGING, {
+        priority: 90,
+        test: kcc => kcc._hanging,
+        move: (kcc, dt) => kcc._hang(dt)
+    });
+    sm.register(KccState.CLIMBING, {
+        priority: 80,
+        test: kcc => kcc._climbing,
+        move: (kcc, dt) => kcc._climb(dt)
+    });
+    sm.register(KccState.SWIMMING, {
+        priority: 70,
+        test: kcc => kcc._swimming,
+        move: (kcc, dt) => kcc._swim(dt)
+    });
+    sm.register(KccState.DASHING, {
+        priority: 60,
+        test: kcc => !!kcc._dash,
+        move: (kcc, dt) => kcc._dashStep(dt)
+    });
+
+    sm.register(KccState.SLIDING, {
+        priority: 30,
+        test: kcc => !!kcc._slideNormal,
+        enter: kcc => kcc.fire('startSlide', kcc._slideNormal),
+        exit: kcc => kcc.fire('stopSlide')
+    });
+    sm.register(KccState.GROUNDED, {
+        priority: 20,
+        test: kcc => kcc._grounded
+    });
+    sm.register(KccState.JUMPING, {
+        priority: 12,
+        test: kcc => kcc._jumping
+    });
+    sm.register(KccState.AIRBORNE, {
+        priority: 11,
+        test: kcc => kcc._velY > 0
+    });
+    sm.register(KccState.FALLING, {
+        priority: 10,
+        test: () => true
+    });
+}
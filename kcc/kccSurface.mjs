@@ -0,0 +1,81 @@
+/* kccSurface.mjs – per-floor friction, speed and conveyor for kcc.mjs */
+
+import { Vec3, Script } from 'playcanvas';
+
+export class KccSurface extends Script {
+    static scriptName = 'kccSurface';
+
+    /**
+     * Presets matched against entity tags when there is no kccSurface script,
+     * e.g. tag a floor `ice` to make it slide.
+     */
+    static presets = {
+        ice: { friction: 0.05, speedMultiplier: 1 },
+        mud: { friction: 1, speedMultiplier: 0.5 }
+    };
+
+    /**
+     * Scales ground acceleration / deceleration, 0 = frictionless
+     * @attribute
+     * @range [0, 2]
+     */
+    friction = 1;
+
+    /**
+     * Scales the character's walk speed
+     * @attribute
+     */
+    speedMultiplier = 1;
+
+    /**
+     * Conveyor belt velocity (m s⁻¹)
+     * @attribute
+     */
+    conveyor = new Vec3();
+
+    /**
+     * Is `conveyor` in the entity's local space?
+     * @attribute
+     */
+    conveyorLocal = true;
+
+    /**
+     * World-space conveyor velocity.
+     * @param {Vec3} [out]
+     * @returns {Vec3}
+     */
+    getConveyorVelocity(out = new Vec3()) {
+        if (this.conveyorLocal)
+            return this.entity.getRotation().transformVector(this.conveyor, out);
+        return out.copy(this.conveyor);
+    }
+}
+
+const NO_CONVEYOR = new Vec3();
+
+/**
+ * Surface descriptor of a ground entity – its own or closest ancestor's
+ * kccSurface script, else the first tag preset found, else null.
+ * @param {import('playcanvas').Entity|null} entity
+ * @returns {{friction: number, speedMultiplier: number, conveyor: Vec3}|null}
+ */
+export function getSurface(entity) {
+    for (let e = entity; e; e = e.parent) {
+        const surface = e.script && e.script.kccSurface;
+        if (surface && surface.enabled) {
+            return {
+                friction: surface.friction,
+                speedMultiplier: surface.speedMultiplier,
+                conveyor: surface.getConveyorVelocity()
+            };
+        }
+
+        if (e.tags) {
+            for (const tag in KccSurface.presets) {
+                if (e.tags.has(tag))
+                    return { ...KccSurface.presets[tag], conveyor: NO_CONVEYOR };
+            }
+        }
+    }
+    return null;
+}
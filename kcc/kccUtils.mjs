@@ -1,4 +1,4 @@
-import { Vec3 } from 'playcanvas';
+import { Vec3, Quat } from 'playcanvas';
 
 export const EPS = 1e-8;
 
@@ -12,27 +12,261 @@ export function projectOnPlane(v, n) {
 }
 
 /**
- * Collide-and-slide sweep used by the KCC.
- * @param {KCC}      kcc              – the character-controller instance (`this` from KCC)
- * @param {Vec3}     pos              – mutable start position (will be returned)
- * @param {Vec3}     disp             – desired displacement this step
- * @param {boolean}  isVerticalPass   – true = gravity pass, false = horizontal pass
+ * Slope of a surface normal relative to `up`, in degrees.
+ * @param {Vec3} n
+ * @param {Vec3} up – unit up vector
+ * @returns {number}
+ */
+export function slopeDeg(n, up) {
+    return Math.acos(clamp(n.dot(up), -1, 1)) * 180 / Math.PI;
+}
+
+/**
+ * Shortest-arc rotation taking unit vector `a` onto unit vector `b`.
+ * @param {Vec3} a
+ * @param {Vec3} b
+ * @param {Quat} [out]
+ * @returns {Quat}
+ */
+export function fromTo(a, b, out = new Quat()) {
+    const w = 1 + a.dot(b);
+    if (w < EPS) {
+        /* opposite – half turn around any perpendicular axis */
+        const axis = Math.abs(a.x) < 0.9 ? new Vec3(1, 0, 0) : new Vec3(0, 0, 1);
+        axis.cross(axis, a).normalize();
+        return out.set(axis.x, axis.y, axis.z, 0);
+    }
+    const c = new Vec3().cross(a, b);
+    return out.set(c.x, c.y, c.z, w).normalize();
+}
+
+/**
+ * Twist of rotation `q` around unit `axis` – the yaw part when `axis` is up.
+ * @param {Quat} q
+ * @param {Vec3} axis
+ * @param {Quat} [out]
+ * @returns {Quat}
+ */
+export function twist(q, axis, out = new Quat()) {
+    const d = q.x * axis.x + q.y * axis.y + q.z * axis.z;
+    out.set(axis.x * d, axis.y * d, axis.z * d, q.w);
+    if (out.x * out.x + out.y * out.y + out.z * out.z + out.w * out.w < EPS)
+        return out.set(0, 0, 0, 1);
+    return out.normalize();
+}
+
+/**
+ * Moves `v` toward `target` by at most `maxDelta`, in place.
+ * @param {Vec3}   v
+ * @param {Vec3}   target
+ * @param {number} maxDelta
+ * @returns {Vec3} v
+ */
+export function moveTowards(v, target, maxDelta) {
+    const dx = target.x - v.x, dy = target.y - v.y, dz = target.z - v.z;
+    const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (d <= maxDelta || d < EPS) return v.copy(target);
+    const k = maxDelta / d;
+    return v.set(v.x + dx * k, v.y + dy * k, v.z + dz * k);
+}
+
+/**
+ * Half-length of the capsule's cylinder segment – 0 for the sphere shape.
+ * @param {CharacterMotor} kcc
+ * @returns {number}
+ */
+export function halfSegment(kcc) {
+    return kcc.capsule ? Math.max(kcc.height * 0.5 - kcc.radius, 0) : 0;
+}
+
+/**
+ * Full height of the collision shape, tip to tip.
+ * @param {CharacterMotor} kcc
+ * @returns {number}
+ */
+export function shapeHeight(kcc) {
+    return (halfSegment(kcc) + kcc.radius) * 2;
+}
+
+/**
+ * Filter options shared by all of the controller's casts.
+ * @param {CharacterMotor} kcc
+ * @returns {object}
+ */
+function castOptions(kcc) {
+    return {
+        filterGroup: kcc.collisionGroup,
+        filterMask: kcc.collisionMask,
+        ignore: kcc.ignore,
+        filter: kcc.castFilter || undefined
+    };
+}
+
+/**
+ * Casts a small probe sphere with the controller's filtering.
+ * @param {CharacterMotor} kcc
+ * @param {number}         radius
+ * @param {Vec3}           from
+ * @param {Vec3}           to
+ * @returns {ConvexCastResult|null}
+ */
+export function castProbe(kcc, radius, from, to) {
+    return kcc.world.sphereCast(
+        radius, from, to, undefined, undefined, undefined, 0, castOptions(kcc)
+    );
+}
+
+/**
+ * Casts the controller's collision shape (sphere, or capsule along `kcc._up`).
+ * @param {CharacterMotor} kcc
+ * @param {Vec3}           from – shape centre at start
+ * @param {Vec3}           to   – shape centre at end
+ * @returns {ConvexCastResult|null}
+ */
+export function castShape(kcc, from, to) {
+    const world = kcc.world;
+    const opts = castOptions(kcc);
+    if (kcc.capsule) {
+        /* pass explicit rotations – otherwise the capsule is turned to face the cast direction */
+        return world.capsuleCast(
+            kcc.radius, halfSegment(kcc) * 2, from, to,
+            undefined, kcc._shapeRot, kcc._shapeRot, 0, opts
+        );
+    }
+    return world.sphereCast(kcc.radius, from, to, undefined, undefined, undefined, 0, opts);
+}
+
+/**
+ * Which part of the shape a hit touched: `top` hemisphere (ceiling), `middle`
+ * cylinder band (wall) or `bottom` hemisphere (ground).
+ * @param {CharacterMotor}   kcc
+ * @param {Vec3}             center – shape centre at impact
+ * @param {ConvexCastResult} hit
+ * @returns {'top'|'middle'|'bottom'}
+ */
+export function hitRegion(kcc, center, hit) {
+    const h = new Vec3().sub2(hit.point, center).dot(kcc._up);
+    const half = halfSegment(kcc) + kcc.skin;
+    if (h > half) return 'top';
+    if (h < -half) return 'bottom';
+    return 'middle';
+}
+
+/**
+ * Up–forward–down probe over an obstacle of at most `height`.
+ * @param {CharacterMotor} kcc
+ * @param {Vec3}           pos      – shape centre in front of the obstacle
+ * @param {Vec3}           move     – displacement still to go, perpendicular to up
+ * @param {number}         [height] – defaults to `stepHeight`
+ * @returns {{pos: Vec3, entity: Entity}|null} landing on a walkable surface, or null
+ */
+export function stepUp(kcc, pos, move, height = kcc.stepHeight) {
+    const up = kcc._up;
+
+    /* up – as far as the ceiling allows */
+    const upEnd = pos.clone().add(up.clone().mulScalar(height));
+    let hit = castShape(kcc, pos, upEnd);
+    const rise = hit && hit.entity
+        ? Math.max(hit.hitFraction * height - kcc.skin, 0)
+        : height;
+    if (rise < EPS) return null;
+    const top = pos.clone().add(up.clone().mulScalar(rise));
+
+    /* forward – partial progress is fine (step, then a wall) */
+    const moveLen = move.length();
+    hit = castShape(kcc, top, top.clone().add(move));
+    const advance = hit && hit.entity
+        ? Math.max(hit.hitFraction * moveLen - kcc.skin, 0)
+        : moveLen;
+    if (advance < EPS) return null;
+    const fwd = top.add(move.clone().mulScalar(advance / moveLen));
+
+    /* down – must land on something walkable no lower than we started */
+    const drop = rise + kcc.skin;
+    hit = castShape(kcc, fwd, fwd.clone().add(up.clone().mulScalar(-drop)));
+    if (!hit || !hit.entity) return null;
+
+    if (slopeDeg(hit.normal, up) >= kcc.slopeLimitDeg || hitRegion(kcc, fwd, hit) !== 'bottom') return null;
+
+    const down = Math.max(hit.hitFraction * drop - kcc.skin, 0);
+    return {
+        pos: fwd.add(up.clone().mulScalar(-down)),
+        entity: hit.entity
+    };
+}
+
+/* radius of the probes feeling for a ledge */
+const LEDGE_PROBE = 0.05;
+
+/**
+ * Grabbable ledge in front of the shape's top: a wall within `ledgeReach`, and a
+ * walkable top surface at least `minLedgeDepth` deep just above it.
+ * @param {CharacterMotor} kcc
+ * @param {Vec3}           pos    – shape centre
+ * @param {Vec3}           facing – unit direction perpendicular to up
+ * @returns {{hang: Vec3, point: Vec3, normal: Vec3, entity: Entity}|null} hang
+ * position, top surface point, horizontal wall normal and ledge entity
+ */
+export function findLedge(kcc, pos, facing) {
+    const up = kcc._up;
+    const top = halfSegment(kcc) + kcc.radius;
+    const head = pos.clone().add(up.clone().mulScalar(top));
+    const reach = kcc.radius + kcc.ledgeReach;
+
+    /* wall in front at head height */
+    const wallHit = castProbe(kcc, LEDGE_PROBE, head, head.clone().add(facing.clone().mulScalar(reach)));
+    if (!wallHit || !wallHit.entity) return null;
+    if (slopeDeg(wallHit.normal, up) < kcc.slopeLimitDeg) return null;
+    const normal = projectOnPlane(wallHit.normal, up);
+    if (normal.lengthSq() < EPS) return null;
+    normal.normalize();
+
+    /* top surface – feel down onto it from above, past the edge */
+    const into = wallHit.hitFraction * reach + LEDGE_PROBE + kcc.minLedgeDepth;
+    const over = head.clone()
+        .add(facing.clone().mulScalar(into))
+        .add(up.clone().mulScalar(kcc.radius));
+    const topHit = castProbe(kcc, LEDGE_PROBE, over, over.clone().add(up.clone().mulScalar(-2 * kcc.radius)));
+
+    /* nothing, or the wall carries on above the window */
+    if (!topHit || !topHit.entity || topHit.hitFraction < EPS) return null;
+    if (slopeDeg(topHit.normal, up) >= kcc.slopeLimitDeg) return null;
+
+    /* hang with the top of the shape level with the ledge, just off the wall */
+    const rise = new Vec3().sub2(topHit.point, wallHit.point).dot(up);
+    const hang = wallHit.point.clone()
+        .add(up.clone().mulScalar(rise - top))
+        .add(normal.clone().mulScalar(kcc.radius + kcc.skin));
+
+    return { hang, point: topHit.point, normal, entity: topHit.entity };
+}
+
+/**
+ * Collide-and-slide sweep used by the motor.
+ * @param {CharacterMotor} kcc              – the character motor
+ * @param {Vec3}           pos              – mutable start position (will be returned)
+ * @param {Vec3}           disp             – desired displacement this step
+ * @param {boolean}        isVerticalPass   – true = gravity pass, false = horizontal pass
  * @returns {Vec3} new position
  */
 export function sweep(kcc, pos, disp, isVerticalPass) {
+    const up = kcc._up;
     let remaining = disp.clone();
 
     /* record up to two distinct wall normals (horizontal pass) */
     let wallN1 = null;
     let wallN2 = null;
 
+    /* one step-up attempt per sweep, only when we stood on ground last frame */
+    let canStep = !isVerticalPass && kcc.stepHeight > 0 && kcc._wasGrounded;
+
     for (let i = 0; i < kcc.maxIterations; ++i) {
         if (remaining.lengthSq() < EPS) break;
 
         const end = pos.clone().add(remaining);
-        const hit = kcc.app.systems.rigidbody.sphereCast(kcc.radius, pos, end);
+        const hit = castShape(kcc, pos, end);
 
-        if (kcc.debug) kcc.app.drawLine(pos, end, kcc.castDebugColor, false);
+        if (kcc.drawLine) kcc.drawLine(pos, end);
 
         /* ▸ no hit – move fully */
         if (!hit || !hit.entity) {
@@ -47,15 +281,16 @@ export function sweep(kcc, pos, disp, isVerticalPass) {
         const stepDist = Math.max(hitDist - kcc.skin, 0);
         if (stepDist > EPS) pos.add(dir.clone().mulScalar(stepDist));
 
-        /* slope metrics */
-        const cosθ = clamp(hit.normal.dot(Vec3.UP), -1, 1);
-        const slopeDeg = Math.acos(cosθ) * 180 / Math.PI;
-        const walkable = slopeDeg < kcc.slopeLimitDeg;
+        /* slope metrics – only the bottom hemisphere can stand on anything */
+        const cosθ = clamp(hit.normal.dot(up), -1, 1);
+        const region = hitRegion(kcc, pos, hit);
+        const walkable = region === 'bottom' && slopeDeg(hit.normal, up) < kcc.slopeLimitDeg;
 
         /* ───── vertical (gravity) pass ───── */
         if (isVerticalPass) {
-            const movingDown = remaining.y < 0;
-            const movingUp = remaining.y > 0;
+            const along = remaining.dot(up);
+            const movingDown = along < 0;
+            const movingUp = along > 0;
 
             /* ▸ ceiling */
             if (movingUp) { kcc._velY = 0; break; }
@@ -71,12 +306,13 @@ export function sweep(kcc, pos, disp, isVerticalPass) {
                         remaining.mulScalar(1 - hit.hitFraction),
                         hit.normal
                     );
-                    if (Math.abs(remaining.y) < EPS) remaining.y = 0;
+                    const left = remaining.dot(up);
+                    if (Math.abs(left) < EPS) remaining.sub(up.clone().mulScalar(left));
                 } else {
                     /* steep – slide along slope with sinθ scaling */
                     const sinθ = Math.sqrt(Math.max(1 - cosθ * cosθ, 0));
-                    const slideDir = projectOnPlane(Vec3.DOWN, hit.normal).normalize();
-                    const slideMag = Math.abs(remaining.y) * sinθ * (1 - hit.hitFraction);
+                    const slideDir = projectOnPlane(up.clone().mulScalar(-1), hit.normal).normalize();
+                    const slideMag = Math.abs(along) * sinθ * (1 - hit.hitFraction);
 
                     remaining = slideDir.mulScalar(slideMag);
                     remaining.add(hit.normal.clone().mulScalar(kcc.skin));
@@ -97,9 +333,25 @@ export function sweep(kcc, pos, disp, isVerticalPass) {
                     hit.normal
                 );
             } else {
-                /* wall */
-                const wallN = new Vec3(hit.normal.x, 0, hit.normal.z);
-                if (wallN.lengthSq() > EPS) wallN.normalize();
+                /* ▸ stair – try climbing over it before treating it as a wall */
+                if (canStep) {
+                    canStep = false;
+                    const rest = projectOnPlane(remaining.clone().mulScalar(1 - hit.hitFraction), up);
+                    const step = rest.lengthSq() > EPS ? stepUp(kcc, pos, rest) : null;
+                    if (step) {
+                        pos.copy(step.pos);
+                        kcc._grounded = true;
+                        kcc._groundCandidate = step.entity;
+                        break;
+                    }
+                }
+
+                /* wall – cylinder band, steep slope or overhang on the top hemisphere */
+                const wallN = projectOnPlane(hit.normal, up);
+                if (wallN.lengthSq() > EPS) {
+                    wallN.normalize();
+                    kcc._wallContacts.push({ normal: wallN.clone(), entity: hit.entity });
+                }
 
                 if (!wallN1) {
                     wallN1 = wallN.clone();
@@ -0,0 +1,60 @@
+/* kccWater.mjs – water volumes kcc.mjs swims in */
+
+import { Vec3, Mat4, Script } from 'playcanvas';
+
+export class KccWater extends Script {
+    static scriptName = 'kccWater';
+
+    /**
+     * Enabled water volumes, queried by every KCC each frame.
+     * @type {Set<KccWater>}
+     */
+    static volumes = new Set();
+
+    /**
+     * Box half extents in local space – the top face is the water surface
+     * @attribute
+     */
+    halfExtents = new Vec3(0.5, 0.5, 0.5);
+
+    initialize() {
+        this._invWorld = new Mat4();
+
+        KccWater.volumes.add(this);
+        this.on('enable', () => KccWater.volumes.add(this));
+        this.on('disable', () => KccWater.volumes.delete(this));
+        this.on('destroy', () => KccWater.volumes.delete(this));
+    }
+
+    /**
+     * Depth (m) of a world-space point below the surface – negative above it.
+     * @param {Vec3} point
+     * @returns {number|null} null outside the volume's footprint or below its floor
+     */
+    depthAt(point) {
+        const he = this.halfExtents;
+        const local = this._invWorld.copy(this.entity.getWorldTransform()).invert()
+            .transformPoint(point, new Vec3());
+
+        if (Math.abs(local.x) > he.x || Math.abs(local.z) > he.z || local.y < -he.y)
+            return null;
+
+        const surface = this.entity.getWorldTransform().transformPoint(new Vec3(0, he.y, 0));
+        return surface.sub(point).dot(this.entity.up);
+    }
+}
+
+/**
+ * Deepest water volume at a point.
+ * @param {Vec3} point
+ * @returns {{water: KccWater, depth: number}|null}
+ */
+export function findWater(point) {
+    let found = null;
+    for (const water of KccWater.volumes) {
+        if (!water.entity.enabled) continue;
+        const depth = water.depthAt(point);
+        if (depth !== null && (!found || depth > found.depth)) found = { water, depth };
+    }
+    return found;
+}
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vec3 } from 'playcanvas';
+import { loadConvexCast, MockAmmoBody } from './mockAmmo.mjs';
+
+const FROM = new Vec3(0, 1, 0);
+const TO = new Vec3(0, -1, 0);
+
+/* a world of `count` bodies, nearest first, as convex-cast.js sees it */
+function setup(count) {
+    const cast = loadConvexCast();
+    for (let i = 0; i < count; i++) cast.bodies.push(new MockAmmoBody(`body${i}`, (i + 1) / (count + 1)));
+    return cast;
+}
+
+const filters = bodies => bodies.map(b => [b.group, b.mask]);
+
+test('sweeps past any number of filtered bodies to the first one accepted', () => {
+    const { system, bodies, live } = setup(12);
+    const before = filters(bodies);
+
+    const hit = system.sphereCast(0.5, FROM, TO, undefined, undefined, undefined, 0, {
+        filter: entity => entity.name === 'body10'
+    });
+
+    assert.equal(hit.entity.name, 'body10');
+    assert.deepEqual(filters(bodies), before, 'filters restored');
+    assert.equal(live.size, 0, 'Ammo objects freed');
+});
+
+test('a throwing filter leaves no body excluded', () => {
+    const { system, bodies, live } = setup(3);
+    const before = filters(bodies);
+    const ignore = [{ rigidbody: { body: bodies[0] } }];
+
+    assert.throws(() => system.sphereCast(0.5, FROM, TO, undefined, undefined, undefined, 0, {
+        ignore,
+        filter: (entity) => {
+            if (entity.name === 'body2') throw new Error('filter failed');
+            return false;
+        }
+    }), /filter failed/);
+
+    assert.deepEqual(filters(bodies), before, 'filters restored');
+    assert.equal(system.constructor._convexShapesData.excluded.length, 0, 'scratch list cleared');
+    assert.equal(live.size, 0, 'Ammo objects freed');
+
+    /* and the next cast sees every body again */
+    const hit = system.sphereCast(0.5, FROM, TO);
+    assert.equal(hit.entity.name, 'body0');
+});
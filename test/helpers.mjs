@@ -0,0 +1,65 @@
+/* helpers.mjs – fixtures and assertions shared by the tests */
+import assert from 'node:assert/strict';
+import { Entity } from 'playcanvas';
+import { CharacterMotor } from '../kcc/kccMotor.mjs';
+import { KCC } from '../kcc/kcc.mjs';
+import { MockWorld } from './mockWorld.mjs';
+
+/* step length the tests simulate at (s) */
+export const DT = 1 / 60;
+
+/* motor events `setupMotor()` records */
+const RECORDED = [
+    'land', 'leaveGround', 'jump', 'startSlide', 'stopSlide', 'crouch:start',
+    'water:enter', 'water:exit', 'water:surface', 'dash:start', 'dash:end',
+    'ledge:grab', 'ledge:mantle', 'ledge:release'
+];
+
+/**
+ * Asserts `actual` is within `tolerance` of `expected`.
+ * @param {number} actual
+ * @param {number} expected
+ * @param {number} [tolerance]
+ */
+export const near = (actual, expected, tolerance = 1e-3) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} ± ${tolerance}, got ${actual}`);
+
+/**
+ * Motor in a fresh world, recording its events.
+ * @param {(world: MockWorld) => object} build – adds the bodies, returns them by name
+ * @param {object} [options]
+ * @param {import('playcanvas').Vec3} [options.at] – where the motor starts
+ * @param {object} [options.config] – overrides of `MOTOR_DEFAULTS`
+ * @returns {{motor: CharacterMotor, world: MockWorld, events: {name: string, args: any[]}[]}} and the bodies
+ */
+export function setupMotor(build, { at, config } = {}) {
+    const world = new MockWorld();
+    const bodies = build(world);
+    const motor = new CharacterMotor({ world, config });
+    if (at) motor.body.setPosition(at);
+
+    const events = [];
+    for (const name of RECORDED)
+        motor.events.on(name, (...args) => events.push({ name, args }));
+    return { motor, world, events, ...bodies };
+}
+
+/**
+ * KCC script standing on a floor, with just enough app and entity for `initialize()`.
+ * @param {object} [attributes] – script attributes to set before it initializes
+ * @returns {{kcc: KCC, entity: Entity, world: MockWorld}}
+ */
+export function setupKcc(attributes = {}) {
+    const world = new MockWorld();
+    world.addPlane('floor');
+    const app = { systems: { rigidbody: world }, drawLine() {}, drawWireSphere() {} };
+
+    const entity = new Entity('player', app);
+    entity.script = { enabled: true };
+    entity.setPosition(0, 0.7, 0);
+
+    const kcc = new KCC({ app, entity });
+    Object.assign(kcc, attributes);
+    kcc.initialize();
+    return { kcc, entity, world };
+}
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MOTOR_DEFAULTS } from '../kcc/kccMotor.mjs';
+import { KccPredictor } from '../kcc/kccPrediction.mjs';
+import { DT, near, setupKcc } from './helpers.mjs';
+
+test('attribute defaults are the motor\'s, copied per script', () => {
+    const { kcc } = setupKcc();
+    const other = setupKcc().kcc;
+
+    for (const key of Object.keys(MOTOR_DEFAULTS))
+        assert.deepEqual(kcc[key], MOTOR_DEFAULTS[key], key);
+    assert.notEqual(kcc.up, other.up);
+    assert.notEqual(kcc.up, MOTOR_DEFAULTS.up);
+});
+
+test('variable step moves the entity by each frame', () => {
+    const { kcc, entity } = setupKcc();
+
+    for (let i = 0; i < 30; i++) {
+        kcc.setInput(0, -1);
+        kcc.update(DT);
+    }
+
+    assert.equal(kcc.motor.grounded, true);
+    assert.ok(entity.getPosition().z < -1, 'walked forward');
+    near(kcc.motor._time, 30 * DT, 1e-9);
+});
+
+test('fixed step spends frame time in whole steps and shows the pose between them', () => {
+    const { kcc, entity } = setupKcc({ fixedTimestep: true, fixedDelta: DT });
+    for (let i = 0; i < 10; i++) kcc.update(DT);
+
+    /* walking at a steady speed – one and a half steps per frame */
+    for (let i = 0; i < 59; i++) {
+        kcc.setInput(0, -1);
+        kcc.update(DT * 1.5);
+    }
+    const steps = Math.round(kcc.motor._time / DT);
+    assert.equal(steps, 10 + 88);
+    near(kcc.motor._time, steps * DT, 1e-9);
+    near(kcc._accumulator, DT * 0.5, 1e-9);
+
+    /* shown part-way from the previous step to the current one */
+    const shown = entity.getPosition().z;
+    near(shown, (kcc._prevPos.z + kcc._currPos.z) * 0.5, 1e-6);
+    assert.ok(Math.abs(kcc._currPos.z - kcc._prevPos.z) > 1e-3, 'moving');
+    assert.ok(kcc._currPos.z < -1, 'walked forward');
+});
+
+test('fixed step without interpolation leaves the simulated pose', () => {
+    const { kcc, entity } = setupKcc({ fixedTimestep: true, fixedDelta: DT, interpolate: false });
+
+    for (let i = 0; i < 20; i++) kcc.update(DT * 1.5);
+
+    assert.ok(entity.getPosition().equals(kcc._currPos));
+    assert.equal(kcc.motor.grounded, true);
+});
+
+/* fixed-step KCC walking forward with a predictor, left showing a pose half-way between steps */
+function walking() {
+    const fixture = setupKcc({ fixedTimestep: true, fixedDelta: DT });
+    const { kcc } = fixture;
+    kcc.predictor = new KccPredictor(kcc.motor);
+    for (let i = 0; i < 39; i++) {
+        kcc.setInput(0, -1);
+        kcc.update(DT * 1.5);
+    }
+    return fixture;
+}
+
+test('snapshot reports the simulated pose and leaves the interpolated one shown', () => {
+    const { kcc, entity } = walking();
+    const shown = entity.getPosition().clone();
+    assert.ok(shown.distance(kcc._currPos) > 1e-3, 'showing an in-between pose');
+
+    const state = kcc.snapshot();
+
+    assert.ok(state.position.distance(kcc._currPos) < 1e-6);
+    assert.ok(entity.getPosition().equals(shown), 'shown pose untouched');
+    assert.equal(kcc._rendered, true);
+});
+
+test('reconcile keeps interpolating, toward the corrected step', () => {
+    const { kcc, entity } = walking();
+    const prev = kcc._prevPos.clone();
+
+    /* the server agrees – nothing moves */
+    const { predictor } = kcc;
+    const shown = entity.getPosition().clone();
+    kcc.reconcile(predictor._entry(predictor.seq - 1).state, predictor.seq - 1);
+    assert.ok(entity.getPosition().distance(shown) < 1e-6);
+
+    /* the server has the character further along */
+    const server = kcc.snapshot();
+    server.position.z -= 0.5;
+    const correction = kcc.reconcile(server, predictor.seq);
+
+    near(correction.z, -0.5, 1e-6);
+    assert.equal(kcc._rendered, true);
+    near(entity.getPosition().z, (kcc._prevPos.z + kcc._currPos.z) * 0.5, 1e-6);
+    assert.ok(kcc._prevPos.distance(prev) < 1e-6, 'previous step kept');
+});
+
+test('reconcile without a predictor changes nothing', () => {
+    const { kcc, entity } = setupKcc({ fixedTimestep: true, fixedDelta: DT });
+    for (let i = 0; i < 10; i++) kcc.update(DT * 1.5);
+    const state = kcc.snapshot();
+    state.position.z -= 1;
+    const shown = entity.getPosition().clone();
+
+    assert.equal(kcc.reconcile(state, 1).length(), 0);
+    assert.ok(entity.getPosition().equals(shown));
+});
@@ -0,0 +1,90 @@
+/* mockAmmo.mjs – just enough of Ammo for running convex-cast.js under Node */
+import { readFileSync } from 'node:fs';
+import * as pc from 'playcanvas';
+
+/**
+ * Rigid body whose broadphase proxy filter convex-cast.js can zero and restore.
+ */
+export class MockAmmoBody {
+    /**
+     * @param {string} name – also the name of its `entity`
+     * @param {number} fraction – where along every sweep it is hit
+     */
+    constructor(name, fraction) {
+        this.entity = { name };
+        this.fraction = fraction;
+        this.group = 1;
+        this.mask = 0xffff;
+        const body = this;
+        this._proxy = {
+            get_m_collisionFilterGroup: () => body.group,
+            get_m_collisionFilterMask: () => body.mask,
+            set_m_collisionFilterGroup: (g) => { body.group = g; },
+            set_m_collisionFilterMask: (m) => { body.mask = m; }
+        };
+    }
+
+    getBroadphaseHandle() {
+        return this._proxy;
+    }
+}
+
+class Value {
+    setValue() {}
+    setOrigin() {}
+    setRotation() {}
+    setMargin() {}
+}
+
+/**
+ * Installs the `pc` and `Ammo` globals, then runs convex-cast.js against them.
+ * @returns {{system: pc.RigidBodyComponentSystem, bodies: MockAmmoBody[], live: Set<object>}}
+ * the patched system, its world's bodies, and the Ammo objects not yet destroyed
+ */
+export function loadConvexCast() {
+    const bodies = [];
+    const live = new Set();
+    const track = (o) => { live.add(o); return o; };
+
+    class ClosestConvexResultCallback {
+        constructor() {
+            track(this);
+            this.hit = null;
+        }
+        set_m_collisionFilterGroup() {}
+        set_m_collisionFilterMask() {}
+        hasHit() { return !!this.hit; }
+        get_m_hitCollisionObject() { return this.hit; }
+        get_m_closestHitFraction() { return this.hit.fraction; }
+        get_m_hitPointWorld() { return { x: () => 0, y: () => 0, z: () => 0 }; }
+        get_m_hitNormalWorld() { return { x: () => 0, y: () => 1, z: () => 0 }; }
+    }
+
+    globalThis.Ammo = {
+        btVector3: Value,
+        btQuaternion: Value,
+        btTransform: Value,
+        btSphereShape: class extends Value { constructor() { super(); track(this); } },
+        btRigidBody: null,
+        ClosestConvexResultCallback,
+        castObject: o => o,
+        destroy: o => live.delete(o)
+    };
+
+    function RigidBodyComponentSystem() {
+        /* closest body the broadphase still lets through */
+        this.dynamicsWorld = {
+            convexSweepTest(shape, from, to, cb) {
+                for (const b of bodies) {
+                    if (b.group === 0 && b.mask === 0) continue;
+                    if (!cb.hit || b.fraction < cb.hit.fraction) cb.hit = b;
+                }
+            }
+        };
+    }
+    globalThis.pc = { ...pc, RigidBodyComponentSystem };
+
+    const source = readFileSync(new URL('../kcc/convex-cast.js', import.meta.url), 'utf8');
+    new Function(source)();
+    return { system: new RigidBodyComponentSystem(), bodies, live };
+}
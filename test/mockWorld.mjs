@@ -0,0 +1,244 @@
+/* mockWorld.mjs – analytic stand-in for convex-cast.js, for running the motor under Node */
+import { Vec3, Quat } from 'playcanvas';
+
+/* a hit closer than this counts as touching (m) */
+const TOUCH = 1e-5;
+
+/* conservative-advancement steps before a cast gives up and reports a miss */
+const MAX_STEPS = 128;
+
+/* points sampled along a capsule's segment */
+const CAPSULE_SAMPLES = 9;
+
+/**
+ * Static or moving body of the mock world – also the `entity` of its hits, so it has
+ * the `getPosition()` / `getRotation()` the motor needs to follow it as a platform.
+ */
+export class MockBody {
+    /**
+     * @param {string} name
+     * @param {object} [options]
+     * @param {Vec3}   [options.position]
+     * @param {Quat}   [options.rotation]
+     * @param {number} [options.group] – collision group bits, as on a rigidbody
+     * @param {number} [options.mask]  – groups this body collides with
+     */
+    constructor(name, { position = new Vec3(), rotation = new Quat(), group = 1, mask = 0xffff } = {}) {
+        this.name = name;
+        this.group = group;
+        this.mask = mask;
+        this._position = position.clone();
+        this._rotation = rotation.clone();
+    }
+
+    getPosition() {
+        return this._position;
+    }
+
+    getRotation() {
+        return this._rotation;
+    }
+
+    setPosition(p) {
+        this._position.copy(p);
+    }
+
+    setRotation(q) {
+        this._rotation.copy(q);
+    }
+
+    /* Shape to world and back, around the body's position */
+    _toLocal(p) {
+        const local = p.clone().sub(this._position);
+        return this._rotation.clone().invert().transformVector(local, local);
+    }
+
+    _toWorld(dir) {
+        return this._rotation.transformVector(dir, new Vec3());
+    }
+
+    /**
+     * Signed distance from `p` to the surface, negative inside.
+     * @param {Vec3} p
+     * @param {Vec3} normal – set to the outward surface normal nearest `p`
+     * @returns {number}
+     */
+    distance(p, normal) {
+        throw new Error('MockBody subclasses implement distance()');
+    }
+}
+
+/* Solid half-space below a plane through the body's position, local +Y out of it */
+export class MockPlane extends MockBody {
+    distance(p, normal) {
+        normal.copy(this._toWorld(Vec3.UP));
+        return this._toLocal(p).y;
+    }
+}
+
+/* Box of `halfExtents` around the body's position */
+export class MockBox extends MockBody {
+    /**
+     * @param {string} name
+     * @param {Vec3}   halfExtents
+     * @param {object} [options] – as for `MockBody`
+     */
+    constructor(name, halfExtents, options) {
+        super(name, options);
+        this.halfExtents = halfExtents.clone();
+    }
+
+    distance(p, normal) {
+        const l = this._toLocal(p);
+        const h = this.halfExtents;
+        const q = new Vec3(Math.abs(l.x) - h.x, Math.abs(l.y) - h.y, Math.abs(l.z) - h.z);
+        const out = new Vec3(Math.max(q.x, 0), Math.max(q.y, 0), Math.max(q.z, 0));
+        const outside = out.length();
+
+        if (outside > 0) {
+            /* face, edge or corner region – away from the closest point */
+            normal.set(Math.sign(l.x) * out.x, Math.sign(l.y) * out.y, Math.sign(l.z) * out.z);
+            normal.copy(this._toWorld(normal.normalize()));
+            return outside;
+        }
+
+        /* inside – out through the nearest face */
+        const inside = Math.max(q.x, q.y, q.z);
+        if (inside === q.x) normal.set(Math.sign(l.x) || 1, 0, 0);
+        else if (inside === q.y) normal.set(0, Math.sign(l.y) || 1, 0);
+        else normal.set(0, 0, Math.sign(l.z) || 1);
+        normal.copy(this._toWorld(normal));
+        return inside;
+    }
+}
+
+/**
+ * Collision world built from analytic bodies, with the `sphereCast` / `capsuleCast`
+ * signatures and `ConvexCastResult`-shaped hits of convex-cast.js. Casts march the
+ * shape along its path by the bodies' distance fields; a shape that starts touching
+ * a body only hits it when moving into it.
+ */
+export class MockWorld {
+    constructor() {
+        /** @type {MockBody[]} */
+        this.bodies = [];
+    }
+
+    /**
+     * @param {MockBody} body
+     * @returns {MockBody} body
+     */
+    add(body) {
+        this.bodies.push(body);
+        return body;
+    }
+
+    /**
+     * Ground plane through `point`, facing `normal`.
+     * @param {string} name
+     * @param {Vec3}   [point]
+     * @param {Vec3}   [normal]
+     * @returns {MockPlane}
+     */
+    addPlane(name, point = new Vec3(), normal = Vec3.UP) {
+        const rotation = new Quat();
+        const n = normal.clone().normalize();
+        const axis = new Vec3().cross(Vec3.UP, n);
+        const angle = Math.acos(Math.max(-1, Math.min(1, n.y))) * 180 / Math.PI;
+        if (axis.lengthSq() > 1e-12) rotation.setFromAxisAngle(axis.normalize(), angle);
+        else if (n.y < 0) rotation.setFromAxisAngle(Vec3.RIGHT, 180);
+        return this.add(new MockPlane(name, { position: point, rotation }));
+    }
+
+    /**
+     * Ramp rising `angle` degrees toward −Z, through `point`.
+     * @param {string} name
+     * @param {number} angle
+     * @param {Vec3}   [point]
+     * @returns {MockPlane}
+     */
+    addSlope(name, angle, point = new Vec3()) {
+        const rad = angle * Math.PI / 180;
+        return this.addPlane(name, point, new Vec3(0, Math.cos(rad), Math.sin(rad)));
+    }
+
+    /**
+     * @param {string} name
+     * @param {Vec3}   center
+     * @param {Vec3}   halfExtents
+     * @param {object} [options] – as for `MockBody`
+     * @returns {MockBox}
+     */
+    addBox(name, center, halfExtents, options = {}) {
+        return this.add(new MockBox(name, halfExtents, { ...options, position: center }));
+    }
+
+    sphereCast(radius, from, to, margin, startRot, endRot, pen, opts) {
+        return this._cast(radius, [new Vec3()], from, to, opts);
+    }
+
+    capsuleCast(radius, height, from, to, margin, startRot, endRot, pen, opts) {
+        /* Y-axis capsule like Bullet's, turned by the start rotation */
+        const axis = (startRot || new Quat()).transformVector(Vec3.UP, new Vec3());
+        const offsets = [];
+        for (let i = 0; i < CAPSULE_SAMPLES; i++) {
+            const s = (i / (CAPSULE_SAMPLES - 1) - 0.5) * height;
+            offsets.push(axis.clone().mulScalar(s));
+        }
+        return this._cast(radius, offsets, from, to, opts);
+    }
+
+    /* Earliest hit of spheres at `offsets` from the centre, moving from → to */
+    _cast(radius, offsets, from, to, opts = {}) {
+        const disp = to.clone().sub(from);
+        let best = null;
+
+        for (const body of this.bodies) {
+            if (!this._collides(body, opts)) continue;
+            const hit = this._castBody(body, radius, offsets, from, disp);
+            if (hit && (!best || hit.hitFraction < best.hitFraction)) best = hit;
+        }
+        return best;
+    }
+
+    /* Same rules as convex-cast.js – group/mask both ways, then ignore list and filter */
+    _collides(body, { filterGroup = 1, filterMask = 0xffff, ignore, filter }) {
+        if (!(body.group & filterMask) || !(filterGroup & body.mask)) return false;
+        if (ignore && ignore.includes(body)) return false;
+        return !filter || filter(body) !== false;
+    }
+
+    _castBody(body, radius, offsets, from, disp) {
+        const len = disp.length();
+        const normal = new Vec3();
+        const n = new Vec3();
+        const point = new Vec3();
+        let t = 0;
+
+        for (let i = 0; i < MAX_STEPS; i++) {
+            /* closest of the sampled spheres at t */
+            let gap = Infinity;
+            const centre = from.clone().add(disp.clone().mulScalar(t));
+            for (const o of offsets) {
+                const p = centre.clone().add(o);
+                const d = body.distance(p, n) - radius;
+                if (d < gap) {
+                    gap = d;
+                    normal.copy(n);
+                    point.copy(p).sub(n.clone().mulScalar(radius));
+                }
+            }
+
+            if (gap <= TOUCH) {
+                /* touching – only a hit when moving into the surface */
+                if (normal.dot(disp) >= 0) return null;
+                return { entity: body, hitFraction: t, point, normal };
+            }
+            if (len < 1e-12) return null;
+
+            t += gap / len;
+            if (t > 1) return null;
+        }
+        return null;
+    }
+}
@@ -0,0 +1,333 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vec3, Quat } from 'playcanvas';
+import { KccWater } from '../kcc/kccWater.mjs';
+import { DT, near, setupMotor } from './helpers.mjs';
+
+function run(motor, steps, input) {
+    for (let i = 0; i < steps; i++) motor.step(DT, input);
+}
+
+test('falls, lands once and hovers above the floor', () => {
+    const { motor, events, floor } = setupMotor(w => ({ floor: w.addPlane('floor') }), { at: new Vec3(0, 3, 0) });
+
+    run(motor, 90);
+
+    const lands = events.filter(e => e.name === 'land');
+    assert.equal(lands.length, 1);
+    assert.ok(lands[0].args[0] > 5, 'impact speed reported');
+    assert.equal(lands[0].args[1], floor);
+    assert.equal(motor.grounded, true);
+    assert.equal(motor.states.current, 'grounded');
+    near(motor.body.getPosition().y, motor.radius + motor.hover, 0.02);
+});
+
+test('jump stops at a low ceiling and falls back', () => {
+    const { motor, events } = setupMotor(w => ({
+        floor: w.addPlane('floor'),
+        ceiling: w.addBox('ceiling', new Vec3(0, 2.5, 0), new Vec3(5, 0.5, 5))
+    }), { at: new Vec3(0, 0.7, 0) });
+    run(motor, 10);
+
+    let top = 0;
+    motor.step(DT, { jump: true });
+    for (let i = 0; i < 60; i++) {
+        motor.step(DT);
+        top = Math.max(top, motor.body.getPosition().y);
+    }
+
+    assert.ok(events.some(e => e.name === 'jump'));
+    assert.ok(top <= 2 - motor.radius + 1e-3, `head stayed under the ceiling, got ${top}`);
+    assert.ok(top > 1.2, 'rose until the hit');
+    assert.equal(motor.grounded, true, 'back on the floor');
+});
+
+test('ground snap keeps it grounded walking down a ramp', () => {
+    const { motor } = setupMotor(w => ({ ramp: w.addSlope('ramp', 25) }), { at: new Vec3(0, 1, 0) });
+    run(motor, 30);
+    assert.equal(motor.grounded, true);
+
+    /* forward is −Z, the ramp falls away toward +Z – walk backwards down it */
+    for (let i = 0; i < 60; i++) {
+        motor.step(DT, { vertical: 1 });
+        assert.equal(motor.grounded, true, `left the ramp on step ${i}`);
+    }
+    assert.ok(motor.body.getPosition().z > 2, 'walked down');
+});
+
+test('ground snap follows a step down', () => {
+    const { motor, events } = setupMotor(w => ({
+        upper: w.addBox('upper', new Vec3(0, -0.5, 0), new Vec3(2, 0.5, 2)),
+        lower: w.addBox('lower', new Vec3(0, -0.75, 5), new Vec3(2, 0.5, 3))
+    }), { at: new Vec3(0, 0.7, 0) });
+    run(motor, 10);
+
+    for (let i = 0; i < 50; i++) motor.step(DT, { vertical: 1 });
+
+    assert.equal(motor.grounded, true);
+    near(motor.body.getPosition().y, -0.25 + motor.radius + motor.hover, 0.02);
+    assert.ok(!events.some(e => e.name === 'leaveGround'), 'never left the ground');
+});
+
+test('slides down a slope too steep to stand on', () => {
+    const { motor, events } = setupMotor(w => ({ ramp: w.addSlope('ramp', 60) }), { at: new Vec3(0, 1.5, 0) });
+
+    let sliding = false;
+    for (let i = 0; i < 60; i++) {
+        motor.step(DT);
+        sliding = sliding || motor.states.current === 'sliding';
+        assert.equal(motor.grounded, false);
+    }
+
+    assert.ok(sliding, 'entered the sliding state');
+    assert.ok(events.some(e => e.name === 'startSlide'));
+    assert.ok(motor.body.getPosition().z > 1, 'slid downhill');
+});
+
+test('walking into a corner stays out of both walls', () => {
+    const { motor } = setupMotor(w => ({
+        floor: w.addPlane('floor'),
+        east: w.addBox('east', new Vec3(2, 1, 0), new Vec3(0.5, 2, 10)),
+        north: w.addBox('north', new Vec3(0, 1, -2), new Vec3(10, 2, 0.5))
+    }), { at: new Vec3(0, 0.7, 0) });
+
+    run(motor, 120, { horizontal: 1, vertical: -1 });
+
+    const pos = motor.body.getPosition();
+    assert.ok(pos.x <= 1.5 - motor.radius + 1e-3, `in the east wall at ${pos.x}`);
+    assert.ok(pos.z >= -1.5 + motor.radius - 1e-3, `in the north wall at ${pos.z}`);
+    assert.equal(motor.grounded, true);
+});
+
+test('rides a moving platform', () => {
+    const { motor, platform } = setupMotor(w => ({
+        platform: w.addBox('platform', new Vec3(0, -0.5, 0), new Vec3(3, 0.5, 3))
+    }), { at: new Vec3(0, 0.7, 0) });
+    run(motor, 10);
+    assert.equal(motor.grounded, true);
+
+    const move = new Vec3(0.02, 0.005, 0);
+    for (let i = 0; i < 60; i++) {
+        platform.setPosition(platform.getPosition().clone().add(move));
+        motor.step(DT);
+    }
+
+    const pos = motor.body.getPosition();
+    near(pos.x, 1.2, 0.03);
+    near(pos.y, 0.3 + motor.radius + motor.hover, 0.03);
+    assert.equal(motor.grounded, true);
+});
+
+test('turns and orbits with a rotating platform', () => {
+    const { motor, platform } = setupMotor(w => ({
+        platform: w.addBox('platform', new Vec3(0, -0.5, 0), new Vec3(3, 0.5, 3))
+    }), { at: new Vec3(1, 0.7, 0) });
+    run(motor, 10);
+
+    const turn = new Quat().setFromEulerAngles(0, 1.5, 0);
+    for (let i = 0; i < 60; i++) {
+        platform.setRotation(turn.clone().mul(platform.getRotation()));
+        motor.step(DT);
+    }
+
+    /* 90° around the platform's centre, facing turned with it */
+    const pos = motor.body.getPosition();
+    near(pos.x, 0, 0.03);
+    near(pos.z, -1, 0.03);
+    near(motor.body.getEulerAngles().y, 90, 0.5);
+});
+
+test('simulate is a pure function of state and input', () => {
+    const { motor } = setupMotor(w => ({ floor: w.addPlane('floor') }), { at: new Vec3(0, 0.7, 0) });
+    run(motor, 10);
+
+    const state = motor.getState();
+    const before = state.position.clone();
+    const a = motor.simulate(state, { vertical: -1, jump: true }, DT);
+    const b = motor.simulate(state, { vertical: -1, jump: true }, DT);
+
+    assert.ok(state.position.equals(before), 'input state untouched');
+    assert.ok(a.position.equals(b.position));
+    assert.equal(a.velY, b.velY);
+    assert.ok(a.velY > 0, 'jumped');
+});
+
+test('crouching shrinks the default sphere, feet planted', () => {
+    const { motor, events } = setupMotor(w => ({ floor: w.addPlane('floor') }), { at: new Vec3(0, 0.7, 0) });
+    run(motor, 10);
+    const feet = motor.body.getPosition().y - motor.radius;
+
+    motor.crouch();
+    run(motor, 10);
+
+    assert.ok(events.some(e => e.name === 'crouch:start'));
+    near(motor.radius, motor.crouchHeight * 0.5);
+    near(motor.body.getPosition().y - motor.radius, feet, 0.02);
+});
+
+test('falling into water surfaces once, without flickering in and out', () => {
+    /* pool with its surface at y = 2 over the floor – stands in for a KccWater volume */
+    const pool = { entity: { enabled: true, name: 'pool' }, depthAt: p => 2 - p.y };
+    KccWater.volumes.add(pool);
+    try {
+        const { motor, events } = setupMotor(w => ({ floor: w.addPlane('floor') }), { at: new Vec3(0, 5, 0) });
+
+        let entered = -1;
+        for (let i = 0; i < 300; i++) {
+            const before = events.length;
+            motor.step(DT);
+            const now = events.slice(before).map(e => e.name);
+            if (now.includes('water:enter')) {
+                entered = i;
+                assert.ok(!now.includes('water:surface'), 'surfaced on the step it fell in');
+            }
+        }
+
+        const names = events.map(e => e.name).filter(n => n.startsWith('water:'));
+        assert.ok(entered >= 0, 'fell in');
+        assert.deepEqual(names, ['water:enter', 'water:surface']);
+        near(2 - motor.body.getPosition().y, motor.floatDepth, 0.05);
+    } finally {
+        KccWater.volumes.delete(pool);
+    }
+});
+
+test('wall sliding only slows the fall when turned on', () => {
+    const fall = (config) => {
+        const { motor } = setupMotor(w => ({
+            floor: w.addPlane('floor'),
+            wall: w.addBox('wall', new Vec3(2, 10, 0), new Vec3(0.5, 10, 10))
+        }), { at: new Vec3(0.9, 15, 0), config });
+        run(motor, 40, { horizontal: 1 });
+        assert.ok(motor.wallContact, 'pressed against the wall');
+        return motor.verticalVelocity;
+    };
+
+    assert.ok(fall() < -5, 'free fall by default');
+    near(fall({ wallSlide: true }), -2, 0.05);
+});
+
+/* floor with a block whose near face is at z = −1.5 and whose top is at y = 2.5 */
+const ledgeBlock = w => ({
+    floor: w.addPlane('floor'),
+    block: w.addBox('block', new Vec3(0, 1.25, -2.5), new Vec3(5, 1.25, 1))
+});
+
+/* steps until `name` fires, at most `max` */
+function until(motor, events, name, max, input) {
+    for (let i = 0; i < max; i++) {
+        motor.step(DT, input);
+        if (events.some(e => e.name === name)) return i;
+    }
+    return -1;
+}
+
+test('ledges are only grabbed with ledgeGrab on', () => {
+    const { motor, events } = setupMotor(ledgeBlock, { at: new Vec3(0, 3.2, -0.95) });
+    run(motor, 60);
+    assert.ok(!events.some(e => e.name === 'ledge:grab'));
+    assert.equal(motor.grounded, true, 'fell past to the floor');
+});
+
+test('grabbing and dropping a ledge gives no dash charges back', () => {
+    const { motor, events, block } = setupMotor(ledgeBlock, {
+        at: new Vec3(-2, 3.2, -0.95), config: { ledgeGrab: true, dashCooldown: 10 }
+    });
+    motor.step(DT);
+    assert.equal(motor.dash(new Vec3(1, 0, 0)), true, 'air dash along the wall');
+    assert.equal(motor.dashChargesLeft, 0);
+
+    assert.ok(until(motor, events, 'ledge:grab', 60) >= 0, 'grabbed the ledge');
+    assert.equal(events.find(e => e.name === 'ledge:grab').args[0], block);
+    near(motor.body.getPosition().y + motor.radius, 2.5, 0.05);
+
+    /* back lets go */
+    assert.ok(until(motor, events, 'ledge:release', 10, { vertical: 1 }) >= 0, 'let go');
+    assert.equal(events.find(e => e.name === 'ledge:release').args[1], 'drop');
+    assert.equal(motor.dashChargesLeft, 0);
+    assert.equal(motor.dash(new Vec3(1, 0, 0)), false, 'still no dash to spend');
+});
+
+test('mantling up from a ledge gives no dash charges back', () => {
+    const { motor, events } = setupMotor(ledgeBlock, {
+        at: new Vec3(-2, 3.2, -0.95), config: { ledgeGrab: true, dashCooldown: 10 }
+    });
+    motor.step(DT);
+    motor.dash(new Vec3(1, 0, 0));
+    assert.ok(until(motor, events, 'ledge:grab', 60) >= 0, 'grabbed the ledge');
+
+    motor.step(DT, { jump: true });
+    assert.ok(events.some(e => e.name === 'ledge:mantle'));
+    assert.ok(until(motor, events, 'ledge:release', 60) >= 0, 'climbed over');
+    run(motor, 10);
+
+    assert.ok(motor.body.getPosition().y > 2.5, 'on top of the block');
+    assert.equal(motor.dashChargesLeft, 0);
+});
+
+test('dash covers dashDistance along its direction, then slows to walking', () => {
+    const { motor, events } = setupMotor(w => ({ floor: w.addPlane('floor') }), { at: new Vec3(0, 0.7, 0) });
+    run(motor, 10);
+
+    const start = motor.body.getPosition().clone();
+    assert.equal(motor.dash(new Vec3(1, 0, 1)), true);
+    assert.ok(until(motor, events, 'dash:end', 60) >= 0);
+
+    const moved = motor.body.getPosition().clone().sub(start);
+    near(moved.x, motor.dashDistance * Math.SQRT1_2, 0.05);
+    near(moved.z, motor.dashDistance * Math.SQRT1_2, 0.05);
+    near(motor.velocity.length(), motor.speed, 1e-3);
+});
+
+test('dash goes along the input, else the facing', () => {
+    const { motor, events } = setupMotor(w => ({ floor: w.addPlane('floor') }), {
+        at: new Vec3(0, 0.7, 0), config: { dashCharges: 2 }
+    });
+    run(motor, 10);
+
+    motor.setInput(1, 0);
+    motor.dash();
+    until(motor, events, 'dash:end', 60);
+    near(events.find(e => e.name === 'dash:start').args[0].x, 1);
+
+    motor.setInput(0, 0);
+    run(motor, 30);
+    motor.dash();
+    near(events.filter(e => e.name === 'dash:start')[1].args[0].z, -1);
+});
+
+test('dash charges are spent one at a time and recharge one per dashCooldown', () => {
+    const { motor, events } = setupMotor(w => ({ floor: w.addPlane('floor') }), {
+        at: new Vec3(0, 0.7, 0), config: { dashCharges: 2, dashCooldown: 0.5 }
+    });
+    run(motor, 10);
+    const dashOut = () => {
+        assert.equal(motor.dash(new Vec3(1, 0, 0)), true);
+        assert.equal(motor.dash(new Vec3(1, 0, 0)), false, 'one dash at a time');
+        until(motor, events, 'dash:end', 60);
+        events.length = 0;
+    };
+
+    dashOut();
+    dashOut();
+    assert.equal(motor.dashChargesLeft, 0);
+    assert.equal(motor.dash(new Vec3(1, 0, 0)), false, 'out of charges');
+
+    /* the first charge came back 0.5 s after the first dash, the second 0.5 s later */
+    run(motor, 30);
+    assert.equal(motor.dashChargesLeft, 1);
+    run(motor, 30);
+    assert.equal(motor.dashChargesLeft, 2);
+    run(motor, 60);
+    assert.equal(motor.dashChargesLeft, 2, 'no more than dashCharges');
+});
+
+test('airDash off keeps dashes for the ground', () => {
+    const { motor } = setupMotor(w => ({ floor: w.addPlane('floor') }), {
+        at: new Vec3(0, 3, 0), config: { airDash: false }
+    });
+    motor.step(DT);
+    assert.equal(motor.dash(new Vec3(1, 0, 0)), false);
+    run(motor, 60);
+    assert.equal(motor.dash(new Vec3(1, 0, 0)), true);
+});
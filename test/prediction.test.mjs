@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vec3 } from 'playcanvas';
+import { KccPredictor, KccAuthority, LoopbackTransport } from '../kcc/kccPrediction.mjs';
+import { DT, setupKcc, setupMotor } from './helpers.mjs';
+
+/* a KCC client and a motor server, each in its own world – the wall only the server's – linked by a loopback */
+function setup({ wall = false, latency = 0.1 } = {}) {
+    const { kcc } = setupKcc();
+    const client = kcc.motor;
+    const { motor: server } = setupMotor(w => ({
+        floor: w.addPlane('floor'),
+        wall: wall ? w.addBox('wall', new Vec3(0, 1, -2), new Vec3(5, 2, 0.5)) : null
+    }), { at: new Vec3(0, 0.7, 0) });
+
+    const transport = new LoopbackTransport({ latency });
+    const predictor = new KccPredictor(client, { send: m => transport.client.send(m) });
+    kcc.predictor = predictor;
+    const authority = new KccAuthority(server);
+    const corrections = [];
+
+    /* one frame on both ends – the server answers every input it received */
+    const frame = ({ horizontal = 0, vertical = 0, jump = false, yaw = 0 } = {}) => {
+        kcc.setInput(horizontal, vertical, jump, yaw);
+        kcc.update(DT);
+        for (const m of transport.server.receive()) {
+            authority.apply(m);
+            transport.server.send(authority.snapshot());
+        }
+        for (const { state, ackSeq } of transport.client.receive())
+            corrections.push(kcc.reconcile(state, ackSeq));
+        transport.advance(DT);
+    };
+    return { kcc, client, server, predictor, authority, transport, frame, corrections };
+}
+
+test('agreeing server states need no correction', () => {
+    const { client, server, frame, corrections } = setup();
+
+    for (let i = 0; i < 60; i++) frame({ vertical: -1, yaw: 1, jump: i === 20 });
+    for (let i = 0; i < 60; i++) frame({});
+
+    assert.ok(corrections.length > 30, 'server answered');
+    assert.ok(corrections.every(c => c.length() === 0), 'prediction held');
+    assert.ok(client.body.getPosition().distance(server.body.getPosition()) < 1e-6);
+});
+
+test('a wall only the server has pulls the client back', () => {
+    const { client, server, frame, corrections } = setup({ wall: true });
+
+    for (let i = 0; i < 60; i++) frame({ vertical: -1 });
+    for (let i = 0; i < 30; i++) frame({});
+
+    assert.ok(corrections.some(c => c.length() > 0.01), 'corrected');
+    const pos = client.body.getPosition();
+    assert.ok(pos.z >= -1.5 + client.radius - 1e-3, `client ended inside the wall at ${pos.z}`);
+    assert.ok(pos.distance(server.body.getPosition()) < 1e-3, 'converged on the server');
+});
+
+test('replayed steps fire no events', () => {
+    const { client, frame } = setup({ wall: true });
+    let jumps = 0;
+    client.events.on('jump', () => jumps++);
+
+    frame({ vertical: -1, jump: true });
+    for (let i = 0; i < 60; i++) frame({ vertical: -1 });
+
+    assert.equal(jumps, 1);
+});
+
+test('reconcile keeps the input gathered for the next step', () => {
+    const { client, predictor, server, authority } = setup();
+    predictor.step(DT, { vertical: -1 });
+    authority.apply({ seq: 1, input: { vertical: -1 }, dt: DT });
+    server._velY = 3;
+
+    client.setInput(1, 0, true, 5);
+    predictor.reconcile(server.getState(), 1);
+
+    assert.deepEqual(client.input, { horizontal: 1, vertical: 0, jump: true, yaw: 5, jumpHeld: undefined });
+});
+
+test('stale and unknown acknowledgements are ignored', () => {
+    const { predictor, server, authority } = setup();
+    for (let seq = 1; seq <= 3; seq++) {
+        predictor.step(DT, {});
+        authority.apply({ seq, input: {}, dt: DT });
+    }
+    server._velY = 3;
+
+    predictor.reconcile(server.getState(), 2);
+    assert.equal(predictor.ackSeq, 2);
+    predictor.reconcile(server.getState(), 1);
+    predictor.reconcile(server.getState(), 9);
+    assert.equal(predictor.ackSeq, 2);
+});
+
+test('the server drops repeated inputs', () => {
+    const { authority } = setup();
+    assert.equal(authority.apply({ seq: 1, input: {}, dt: DT }), true);
+    assert.equal(authority.apply({ seq: 1, input: {}, dt: DT }), false);
+    assert.equal(authority.snapshot().ackSeq, 1);
+});
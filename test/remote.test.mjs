@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vec3, Entity } from 'playcanvas';
+import { KccRemoteBuffer, KccRemote, remoteSnapshot } from '../kcc/kccRemote.mjs';
+import { DT, near, setupMotor, setupKcc } from './helpers.mjs';
+
+const snap = (time, x, { yaw = 0, grounded = true, velocity = new Vec3(), up } = {}) =>
+    ({ time, position: new Vec3(x, 0, 0), up, yaw, grounded, velocity });
+
+/* buffer recording the events it fires */
+function setupBuffer(config) {
+    const buffer = new KccRemoteBuffer(config && { config });
+    const events = [];
+    for (const name of ['land', 'leaveGround', 'jump'])
+        buffer.events.on(name, (...args) => events.push({ name, args }));
+    return { buffer, events };
+}
+
+test('plays back a delay behind the newest snapshot', () => {
+    const { buffer } = setupBuffer();
+
+    /* 10 Hz snapshots of a steady 10 m s⁻¹, shown at 20 fps */
+    for (let i = 0; i < 20; i++) {
+        buffer.push(snap(i * 0.1, i, { velocity: new Vec3(10, 0, 0) }));
+        for (let f = 0; f < 2; f++) {
+            const pose = buffer.update(0.05);
+            assert.ok(pose.time <= i * 0.1 && pose.time >= i * 0.1 - 0.2, `${pose.time} off the delay`);
+            near(pose.position.x, Math.max(pose.time, 0) * 10);
+        }
+    }
+});
+
+test('extrapolates along the velocity, only so far', () => {
+    const { buffer } = setupBuffer({ delay: 0.1, maxExtrapolation: 0.25, jumpDetectSpeed: 2 });
+    buffer.push(snap(0, 0, { velocity: new Vec3(4, 0, 0) }));
+    buffer.push(snap(0.1, 0.4, { velocity: new Vec3(4, 0, 0) }));
+
+    let pose;
+    for (let i = 0; i < 12; i++) pose = buffer.update(0.025);
+    assert.ok(pose.time > 0.1, 'past the newest');
+    near(pose.position.x, 0.4 + 4 * Math.min(pose.time - 0.1, 0.25));
+
+    for (let i = 0; i < 20; i++) pose = buffer.update(0.025);
+    assert.ok(pose.position.x <= 0.4 + 4 * 0.25 + 1e-6, 'held at the cap');
+});
+
+test('turns the short way round', () => {
+    const { buffer } = setupBuffer({ delay: 0, maxExtrapolation: 0.25, jumpDetectSpeed: 2 });
+    buffer.push(snap(0, 0, { yaw: 170 }));
+    buffer.push(snap(1, 0, { yaw: -170 }));
+
+    const pose = buffer.update(0.5);
+    assert.ok(Math.abs(Math.abs(pose.yaw) - 180) < 10.001, `went through 180°, got ${pose.yaw}`);
+});
+
+test('drops late and repeated snapshots', () => {
+    const { buffer } = setupBuffer();
+    assert.equal(buffer.push(snap(1, 0)), true);
+    assert.equal(buffer.push(snap(1, 5)), false);
+    assert.equal(buffer.push(snap(0.5, 5)), false);
+});
+
+test('fires the jump, takeoff and landing of a played-back motor', () => {
+    const { motor } = setupMotor(w => ({ floor: w.addPlane('floor') }), { at: new Vec3(0, 0.7, 0) });
+    for (let i = 0; i < 10; i++) motor.step(DT);
+
+    const local = [];
+    for (const name of ['land', 'leaveGround', 'jump'])
+        motor.events.on(name, () => local.push(name));
+
+    /* the sender runs at 60 Hz and sends every third step */
+    const { buffer, events } = setupBuffer();
+    for (let i = 0; i < 150; i++) {
+        motor.step(DT, { jump: i === 30 });
+        if (i % 3 === 0) {
+            buffer.push({
+                time: i * DT,
+                position: motor.body.getPosition().clone(),
+                yaw: 0,
+                grounded: motor.grounded,
+                velocity: motor.velocity.clone().add(new Vec3(0, motor.verticalVelocity, 0))
+            });
+        }
+        buffer.update(DT);
+    }
+    for (let i = 0; i < 30; i++) buffer.update(DT);
+
+    assert.deepEqual(events.map(e => e.name), local);
+    assert.equal(events[0].args[0], 'ground');
+    const land = events.find(e => e.name === 'land');
+    assert.ok(land.args[0] > 4, 'impact speed carried over');
+});
+
+test('plays back remoteSnapshot() of a fixed-step KCC', () => {
+    const { kcc, entity } = setupKcc({ fixedTimestep: true, fixedDelta: DT });
+    for (let i = 0; i < 10; i++) kcc.update(DT);
+
+    const local = [];
+    for (const name of ['land', 'leaveGround', 'jump'])
+        kcc.on(name, () => local.push(name));
+
+    /* frames of one and a half steps – the entity shows in-between poses, snapshots must not */
+    const { buffer, events } = setupBuffer();
+    for (let i = 0; i < 100; i++) {
+        kcc.setInput(0, -1, i === 20);
+        kcc.update(DT * 1.5);
+
+        const snapshot = remoteSnapshot(kcc, i * DT * 1.5);
+        assert.ok(snapshot.position.distance(kcc._currPos) < 1e-6, 'simulated pose sent');
+        if (i === 10) {
+            assert.ok(entity.getPosition().distance(kcc._currPos) > 1e-3, 'showing an in-between pose');
+            near(snapshot.yaw, 0);
+            near(snapshot.velocity.z, -kcc.speed, 0.1);
+        }
+        buffer.push(snapshot);
+        buffer.update(DT * 1.5);
+    }
+    for (let i = 0; i < 20; i++) buffer.update(DT);
+
+    assert.deepEqual(events.map(e => e.name), local);
+    assert.ok(local.includes('jump'));
+});
+
+test('reads jumps and landings along the snapshot\'s up', () => {
+    /* standing on a wall facing +X – jumping is along +X, world Y never changes */
+    const up = new Vec3(1, 0, 0);
+    const { buffer, events } = setupBuffer({ delay: 0, maxExtrapolation: 0.25, jumpDetectSpeed: 2 });
+    buffer.push(snap(0, 0, { up, grounded: true }));
+    buffer.push(snap(0.1, 0.3, { up, grounded: false, velocity: new Vec3(6, 0, 0) }));
+    buffer.push(snap(0.2, 0.1, { up, grounded: false, velocity: new Vec3(-5, 0, 0) }));
+    buffer.push(snap(0.3, 0, { up, grounded: true }));
+    for (let i = 0; i < 10; i++) buffer.update(0.05);
+
+    assert.deepEqual(events.map(e => e.name), ['jump', 'leaveGround', 'land']);
+    near(events[2].args[0], 5);
+});
+
+test('the kccRemote script stands the entity on the snapshot\'s up', () => {
+    const entity = new Entity('remote', {});
+    entity.script = { enabled: true };
+    const remote = new KccRemote({ app: {}, entity });
+    remote.initialize();
+
+    const up = new Vec3(1, 0, 0);
+    remote.push(snap(0, 0, { up, yaw: 90 }));
+    remote.update(DT);
+
+    assert.ok(entity.up.distance(up) < 1e-6, `up is ${entity.up}`);
+    assert.ok(Math.abs(entity.forward.dot(up)) < 1e-6, 'facing across up');
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vec3 } from 'playcanvas';
+import { sweep } from '../kcc/kccUtils.mjs';
+import { near, setupMotor } from './helpers.mjs';
+
+/* `sweep()` only needs the motor's shape, up and contact fields – it's never stepped here */
+
+test('lands on a floor, one skin above it', () => {
+    const { motor, floor } = setupMotor(w => ({ floor: w.addPlane('floor') }));
+    motor._velY = -5;
+
+    const pos = sweep(motor, new Vec3(0, 2, 0), new Vec3(0, -3, 0), true);
+
+    near(pos.y, motor.radius + motor.skin);
+    assert.equal(motor._grounded, true);
+    assert.equal(motor._groundCandidate, floor);
+    assert.equal(motor._velY, 0);
+});
+
+test('lands on a walkable slope', () => {
+    const { motor, ramp } = setupMotor(w => ({ ramp: w.addSlope('ramp', 30) }));
+
+    sweep(motor, new Vec3(0, 3, 0), new Vec3(0, -5, 0), true);
+
+    assert.equal(motor._grounded, true);
+    assert.equal(motor._groundCandidate, ramp);
+    assert.equal(motor._steepNormal, null);
+});
+
+test('stops under a ceiling and kills the rise', () => {
+    const { motor } = setupMotor(w => ({
+        ceiling: w.addBox('ceiling', new Vec3(0, 3.5, 0), new Vec3(5, 0.5, 5))
+    }));
+    motor._velY = 5;
+
+    const pos = sweep(motor, new Vec3(0, 1, 0), new Vec3(0, 3, 0), true);
+
+    near(pos.y, 3 - motor.radius - motor.skin);
+    assert.equal(motor._velY, 0);
+    assert.equal(motor._grounded, false);
+});
+
+test('slides down a slope too steep to stand on', () => {
+    const { motor, ramp } = setupMotor(w => ({ ramp: w.addSlope('ramp', 60) }));
+    const start = new Vec3(0, 3, 0);
+
+    const pos = sweep(motor, start.clone(), new Vec3(0, -5, 0), true);
+
+    assert.equal(motor._grounded, false);
+    assert.ok(motor._steepNormal, 'steep normal recorded');
+    near(motor._steepNormal.dot(Vec3.UP), Math.cos(Math.PI / 3));
+    assert.ok(pos.z > start.z, 'moved downhill');
+    assert.ok(ramp.distance(pos, new Vec3()) >= motor.radius - 1e-3, 'not sunk into the ramp');
+});
+
+test('slides along a wall it walks into at an angle', () => {
+    const { motor, wall } = setupMotor(w => ({
+        wall: w.addBox('wall', new Vec3(2, 1, 0), new Vec3(0.5, 2, 10))
+    }));
+
+    const pos = sweep(motor, new Vec3(0, 1, 0), new Vec3(3, 0, -3), false);
+
+    assert.ok(pos.x <= 1.5 - motor.radius + 1e-3, 'kept out of the wall');
+    assert.ok(pos.z < -2, 'slid along it');
+    assert.equal(motor._wallContacts.length, 1);
+    assert.equal(motor._wallContacts[0].entity, wall);
+    near(motor._wallContacts[0].normal.x, -1);
+});
+
+test('locks in a corner instead of sliding out of it', () => {
+    const { motor } = setupMotor(w => ({
+        east: w.addBox('east', new Vec3(2, 1, 0), new Vec3(0.5, 2, 10)),
+        north: w.addBox('north', new Vec3(0, 1, -2), new Vec3(10, 2, 0.5))
+    }));
+
+    const pos = sweep(motor, new Vec3(0, 1, 0), new Vec3(4, 0, -3), false);
+
+    assert.ok(pos.x <= 1.5 - motor.radius + 1e-3, 'kept out of the east wall');
+    assert.ok(pos.z >= -1.5 + motor.radius - 1e-3, 'kept out of the north wall');
+    assert.ok(motor._wallContacts.length >= 2, 'both walls touched');
+
+    /* pushing on into the corner goes nowhere */
+    const again = sweep(motor, pos.clone(), new Vec3(4, 0, -3), false);
+    near(again.distance(pos), 0, 0.02);
+});
+
+test('steps up onto a low step after standing on ground', () => {
+    /* no hover – the step's edge has to meet the sphere too steeply to walk over */
+    const { motor, step } = setupMotor(w => ({
+        floor: w.addPlane('floor'),
+        step: w.addBox('step', new Vec3(0, 0.125, -2), new Vec3(2, 0.125, 1))
+    }), { config: { hover: 0 } });
+    motor._wasGrounded = true;
+
+    const pos = sweep(motor, new Vec3(0, motor.radius, 0), new Vec3(0, 0, -1.5), false);
+
+    assert.equal(motor._grounded, true);
+    assert.equal(motor._groundCandidate, step);
+    assert.ok(pos.y > 0.25 + motor.radius - 1e-3, 'on top of the step');
+    assert.ok(pos.z < -1, 'carried on forward');
+});
+
+test('treats a step above stepHeight as a wall', () => {
+    const { motor } = setupMotor(w => ({
+        floor: w.addPlane('floor'),
+        step: w.addBox('step', new Vec3(0, 0.5, -2), new Vec3(2, 0.5, 1))
+    }));
+    motor._wasGrounded = true;
+
+    const pos = sweep(motor, new Vec3(0, motor.radius + motor.hover, 0), new Vec3(0, 0, -1.5), false);
+
+    assert.ok(pos.z >= -1 + motor.radius - 1e-3, 'stopped at the step');
+    assert.equal(motor._wallContacts.length, 1);
+});
+
+test('passes through ignored and filtered bodies', () => {
+    const { motor, floor, own } = setupMotor(w => ({
+        floor: w.addPlane('floor'),
+        own: w.addBox('own', new Vec3(0, 1, 0), new Vec3(0.4, 0.4, 0.4)),
+        ghost: w.addBox('ghost', new Vec3(0, 0.5, 0), new Vec3(5, 0.1, 5))
+    }), { config: { castFilter: body => body.name !== 'ghost' } });
+    motor.ignore = [own];
+
+    sweep(motor, new Vec3(0, 2, 0), new Vec3(0, -3, 0), true);
+
+    assert.equal(motor._groundCandidate, floor);
+});